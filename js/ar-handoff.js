@@ -0,0 +1,98 @@
+// "View in your room" hand-off for a finalized design
+//
+// Builds the deep link to ar.html, a <model-viewer> page that opens the design in
+// WebXR, Android Scene Viewer or iOS Quick Look, and embeddable <model-viewer>
+// markup for the design's GLB:
+//
+//   ArHandoff.viewerUrl('https://example.com/', { model: 'Assets/textured_mesh.glb', title: 'Chair', scale: 0.42 })
+//   -> 'https://example.com/ar.html?model=Assets%2Ftextured_mesh.glb&title=Chair&scale=0.42'
+//
+//   ArHandoff.modelViewerMarkup({ src: 'https://example.com/Assets/textured_mesh.glb', alt: 'Chair', scale: 0.42 })
+//   -> '<script type="module" src="..."></script>\n<model-viewer src="..." ar ...></model-viewer>'
+//
+// `scale` is the uniform factor that brings the model to its real size in metres
+// (see Scene3D.arScale()); with it the AR placement is fixed at that size.
+// Runs in the browser (global `ArHandoff`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ArHandoff = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const MODEL_VIEWER_SCRIPT = 'https://cdn.jsdelivr.net/npm/@google/model-viewer@4.1.0/dist/model-viewer.min.js';
+    const AR_MODES = 'webxr scene-viewer quick-look';
+    const VIEWER_PAGE = 'ar.html';
+    const MODEL_PATTERN = /\.(glb|gltf)$/i;
+    const EXTERNAL_PATTERN = /^([a-z][a-z0-9+.-]*:|\/\/)/i; // only this site's own models
+    
+    function escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+    
+    function formatScale(scale) {
+        return String(Number(scale.toPrecision(4)));
+    }
+    
+    function hasScale(scale) {
+        return typeof scale === 'number' && isFinite(scale) && scale > 0 && scale !== 1;
+    }
+    
+    function viewerUrl(base, options) {
+        const url = new URL(VIEWER_PAGE, base);
+        url.searchParams.set('model', options.model);
+        if (options.title) url.searchParams.set('title', options.title);
+        if (hasScale(options.scale)) url.searchParams.set('scale', formatScale(options.scale));
+        return url.href;
+    }
+    
+    // Reads viewerUrl() parameters back; null without a usable model path
+    function parseViewerUrl(href) {
+        const params = new URL(href).searchParams;
+        const model = params.get('model');
+        if (!model || !MODEL_PATTERN.test(model) || EXTERNAL_PATTERN.test(model)) return null;
+        const scale = parseFloat(params.get('scale'));
+        return {
+            model,
+            title: params.get('title') || '',
+            scale: hasScale(scale) ? scale : 1
+        };
+    }
+    
+    // Attributes shared by the markup and ar.html, as [name, value] (null = boolean)
+    function viewerAttributes(options) {
+        const attributes = [['src', options.src]];
+        if (options.iosSrc) attributes.push(['ios-src', options.iosSrc]);
+        attributes.push(['alt', options.alt || '3D model'], ['ar', null], ['ar-modes', AR_MODES]);
+        if (hasScale(options.scale)) {
+            const scale = formatScale(options.scale);
+            attributes.push(['scale', `${scale} ${scale} ${scale}`], ['ar-scale', 'fixed']);
+        }
+        attributes.push(['camera-controls', null], ['shadow-intensity', '1']);
+        return attributes;
+    }
+    
+    function modelViewerMarkup(options) {
+        const attributes = viewerAttributes(options).map(([name, value]) => (
+            value === null ? name : `${name}="${escapeAttribute(value)}"`
+        ));
+        return [
+            `<script type="module" src="${MODEL_VIEWER_SCRIPT}"></script>`,
+            `<model-viewer ${attributes.join(' ')}></model-viewer>`
+        ].join('\n');
+    }
+    
+    return {
+        MODEL_VIEWER_SCRIPT,
+        AR_MODES,
+        viewerUrl,
+        parseViewerUrl,
+        viewerAttributes,
+        modelViewerMarkup
+    };
+}));
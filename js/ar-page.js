@@ -0,0 +1,38 @@
+// ar.html: opens the design named in the deep link (ArHandoff.viewerUrl()) in
+// <model-viewer>, whose AR button hands off to WebXR, Scene Viewer or Quick Look
+
+(function () {
+    const viewer = document.getElementById('ar-viewer');
+    const title = document.getElementById('ar-title');
+    const message = document.getElementById('ar-message');
+    const design = ArHandoff.parseViewerUrl(window.location.href);
+    
+    const showMessage = (text) => {
+        message.textContent = text;
+        message.classList.remove('hidden');
+    };
+    
+    if (!design) {
+        viewer.remove();
+        showMessage('This link does not name a design to show. Scan the code on the design page again.');
+        return;
+    }
+    
+    if (design.title) {
+        title.textContent = design.title;
+        document.title = `${design.title} - View in your room`;
+    }
+    ArHandoff.viewerAttributes({
+        src: new URL(design.model, document.baseURI).href,
+        alt: design.title || 'Cardboard furniture design',
+        scale: design.scale
+    }).forEach(([name, value]) => viewer.setAttribute(name, value === null ? '' : value));
+    
+    viewer.addEventListener('error', (e) => {
+        console.error(`Could not load ${design.model}:`, e.detail);
+        showMessage('The 3D model could not be loaded.');
+    });
+    viewer.addEventListener('ar-status', (e) => {
+        if (e.detail.status === 'failed') showMessage('AR could not start on this device. You can still rotate the model here.');
+    });
+})();
@@ -0,0 +1,127 @@
+// Exploded-view assembly for the Step 4 preview
+//
+// Builds one mesh group per guide module from its cut parts (outline extruded to
+// the board thickness, one layer per laminated copy) and moves the groups between
+// an exploded and an assembled position, phase by phase, following guide.phases.
+// Module placement comes from the guide, in mm so resized guides scale with it:
+//
+//   placement: { position: { mm: [x, y, z] }, rotation: [x, y, z] (degrees),
+//                explode: { mm: [x, y, z] }, solid: { type: 'tetrahedron', mm } }
+//
+// y is up, the origin is the floor under the middle of the chair and +z faces front.
+// `solid` replaces the flat parts for modules that are folded into a 3D shape.
+// Step 0 is the fully exploded view; step N is the state after phase N.
+
+class AssemblySequence {
+    constructor(guide, options = {}) {
+        this.guide = guide;
+        this.tweens = options.tweens || new TWEEN.Group();
+        this.duration = options.duration || 900;
+        this.thickness = (guide.sheet && guide.sheet.thickness) || 5;
+        this.group = new THREE.Group();
+        this.modules = {};
+        this.step = 0;
+        
+        guide.modules.forEach(module => {
+            if (!module.placement) return;
+            const object = this.buildModule(module);
+            const placement = module.placement;
+            const assembled = new THREE.Vector3().fromArray(placement.position.mm);
+            const exploded = assembled.clone().add(new THREE.Vector3().fromArray(placement.explode ? placement.explode.mm : [0, 0, 0]));
+            if (placement.rotation) {
+                object.rotation.set(...placement.rotation.map(degrees => THREE.MathUtils.degToRad(degrees)));
+            }
+            object.position.copy(exploded);
+            object.userData.moduleNumber = module.number;
+            this.group.add(object);
+            this.modules[module.number] = { object, assembled, exploded };
+        });
+        
+        this.steps = [{ name: 'Exploded view', modules: [] }].concat(guide.phases.map(phase => ({
+            name: phase.name,
+            modules: phase.items.filter(item => typeof item !== 'string').map(item => item.module)
+        })));
+    }
+    
+    get isEmpty() {
+        return Object.keys(this.modules).length === 0;
+    }
+    
+    buildModule(module) {
+        const object = new THREE.Group();
+        const material = new THREE.MeshStandardMaterial({ color: 0xc8a27a, roughness: 0.9, transparent: true });
+        
+        const solid = module.placement.solid;
+        if (solid && solid.type === 'tetrahedron') {
+            // TetrahedronGeometry takes the circumradius: edge * sqrt(6) / 4
+            const geometry = new THREE.TetrahedronGeometry(solid.mm * Math.sqrt(6) / 4);
+            // Stand it on a face; baked into the geometry so bounding boxes stay tight
+            geometry.rotateZ(Math.PI / 4);
+            geometry.rotateX(-Math.atan(Math.SQRT1_2));
+            object.add(new THREE.Mesh(geometry, material));
+        } else {
+            // Laminated copies stack behind each other
+            let depth = 0;
+            (module.parts || []).forEach(part => {
+                const layers = (part.quantity || 1) * this.thickness;
+                const outline = part.outline || [[0, 0], [1, 0], [1, 1], [0, 1]];
+                const shape = new THREE.Shape(outline.map(([x, y]) => (
+                    new THREE.Vector2((x - 0.5) * part.width, (0.5 - y) * part.height)
+                )));
+                const geometry = new THREE.ExtrudeGeometry(shape, { depth: layers, bevelEnabled: false });
+                geometry.translate(0, 0, -(depth + layers));
+                object.add(new THREE.Mesh(geometry, material));
+                depth += layers;
+            });
+            object.children.forEach(mesh => {
+                mesh.position.z += depth / 2; // centre the stack on the placement position
+            });
+        }
+        
+        object.traverse(child => {
+            if (child.isMesh) child.castShadow = child.receiveShadow = true;
+        });
+        object.userData.material = material;
+        return object;
+    }
+    
+    // Modules in place after the given step
+    placedModules(step) {
+        const placed = new Set();
+        this.steps.slice(1, step + 1).forEach(phaseStep => phaseStep.modules.forEach(number => placed.add(number)));
+        return placed;
+    }
+    
+    goTo(step, options = {}) {
+        this.step = Math.max(0, Math.min(step, this.steps.length - 1));
+        const placed = this.placedModules(this.step);
+        const active = new Set(this.steps[this.step].modules);
+        this.tweens.removeAll();
+        
+        Object.keys(this.modules).forEach(key => {
+            const number = parseInt(key);
+            const { object, assembled, exploded } = this.modules[number];
+            const target = placed.has(number) ? assembled : exploded;
+            const material = object.userData.material;
+            
+            // Current phase glows, later phases wait faded out
+            material.emissive.setHex(active.has(number) ? 0x4a3000 : 0x000000);
+            const opacity = placed.has(number) || this.step === 0 ? 1 : 0.35;
+            
+            if (options.immediate) {
+                object.position.copy(target);
+                material.opacity = opacity;
+                return;
+            }
+            new TWEEN.Tween(object.position, this.tweens)
+                .to({ x: target.x, y: target.y, z: target.z }, this.duration)
+                .easing(TWEEN.Easing.Quadratic.InOut)
+                .start();
+            new TWEEN.Tween(material, this.tweens)
+                .to({ opacity }, this.duration / 2)
+                .start();
+        });
+        
+        return this.steps[this.step];
+    }
+}
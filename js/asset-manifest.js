@@ -0,0 +1,48 @@
+// Asset references in the site's JSON data
+//
+// jsonAssets() walks a document (data/catalog.json, data/model-lods.json, a guide)
+// and returns every string that names a local asset file, with the JSON path it
+// was found at:
+//
+//   AssetManifest.jsonAssets(catalog)
+//   -> [{ path: 'Assets/Click1.jpg', where: 'sourceImages[0].src' }, ...]
+//
+// Only strings with a directory count, so display names like "Click1.jpg" are skipped.
+// Used by tools/check-assets.js and by Scene3D's developer asset check.
+// Runs in the browser (global `AssetManifest`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AssetManifest = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const ASSET_PATTERN = /\.(glb|gltf|bin|png|jpe?g|webp|gif|svg|ktx2|json|js|css)$/i;
+    const EXTERNAL_PATTERN = /^([a-z][a-z0-9+.-]*:|\/\/|#)/i; // https:, data:, blob:, //cdn, #fragment
+    
+    function isLocalAsset(value) {
+        return typeof value === 'string' && ASSET_PATTERN.test(value) && !EXTERNAL_PATTERN.test(value);
+    }
+    
+    function jsonAssets(document) {
+        const found = [];
+        const walk = (node, where) => {
+            if (isLocalAsset(node) && node.includes('/')) {
+                found.push({ path: node, where });
+            } else if (Array.isArray(node)) {
+                node.forEach((item, index) => walk(item, `${where}[${index}]`));
+            } else if (node && typeof node === 'object') {
+                Object.keys(node).forEach(key => walk(node[key], where ? `${where}.${key}` : key));
+            }
+        };
+        walk(document, '');
+        return found;
+    }
+    
+    return {
+        ASSET_PATTERN,
+        isLocalAsset,
+        jsonAssets
+    };
+}));
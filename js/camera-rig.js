@@ -0,0 +1,105 @@
+// Named camera views and eased flights for the landing page model cloud
+//
+// A view is a camera position plus the OrbitControls target it looks at:
+//
+//   rig.setPreset('overview', { position: [20, 70, 95], target: [0, 0, 0] });
+//   rig.flyTo('overview');
+//   rig.flyTo(rig.closeUp(model));
+//
+// Flights tween position and target together through `tweens`, a TWEEN group the
+// owner updates every frame. OrbitControls stay in charge between flights; a
+// flight is cancelled as soon as the user starts dragging or zooming.
+
+class CameraRig {
+    constructor(camera, controls, options = {}) {
+        this.camera = camera;
+        this.controls = controls;
+        this.duration = options.duration || 1400; // ms
+        this.presets = new Map();
+        this.tweens = new TWEEN.Group();
+        this.flight = null; // { tween, resolve, autoRotate, enableDamping }
+        
+        this.controls.addEventListener('start', () => this.stop());
+    }
+    
+    setPreset(name, view) {
+        this.presets.set(name, {
+            position: new THREE.Vector3().fromArray(view.position),
+            target: new THREE.Vector3().fromArray(view.target || [0, 0, 0])
+        });
+    }
+    
+    isFlying() {
+        return this.flight !== null;
+    }
+    
+    // A view framing `object` from the current viewing direction
+    closeUp(object, margin = 1.6) {
+        const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+        const fov = THREE.MathUtils.degToRad(this.camera.fov);
+        const distance = (sphere.radius * margin) / Math.sin(fov / 2);
+        const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target).normalize();
+        direction.y = Math.max(direction.y, 0.25); // never from below the cloud
+        direction.normalize();
+        return {
+            position: sphere.center.clone().addScaledVector(direction, distance),
+            target: sphere.center.clone()
+        };
+    }
+    
+    // Resolves true when the camera arrives, false if the flight was cancelled
+    flyTo(view, options = {}) {
+        const to = typeof view === 'string' ? this.presets.get(view) : view;
+        if (!to) {
+            console.warn(`Unknown camera preset ${view}`);
+            return Promise.resolve(false);
+        }
+        this.stop();
+        
+        const duration = options.duration !== undefined ? options.duration : this.duration;
+        if (duration <= 0) {
+            this.camera.position.copy(to.position);
+            this.controls.target.copy(to.target);
+            this.controls.update();
+            return Promise.resolve(true);
+        }
+        
+        const fromPosition = this.camera.position.clone();
+        const fromTarget = this.controls.target.clone();
+        const progress = { t: 0 };
+        return new Promise((resolve) => {
+            // Auto-rotation and damping would fight the tween for the camera
+            const flight = { resolve, autoRotate: this.controls.autoRotate, enableDamping: this.controls.enableDamping };
+            this.controls.autoRotate = false;
+            this.controls.enableDamping = false;
+            flight.tween = new TWEEN.Tween(progress, this.tweens)
+                .to({ t: 1 }, duration)
+                .easing(TWEEN.Easing.Cubic.InOut)
+                .onUpdate(() => {
+                    this.camera.position.lerpVectors(fromPosition, to.position, progress.t);
+                    this.controls.target.lerpVectors(fromTarget, to.target, progress.t);
+                })
+                .onComplete(() => this.finish(true))
+                .start();
+            this.flight = flight;
+        });
+    }
+    
+    stop() {
+        if (!this.flight) return;
+        this.flight.tween.stop();
+        this.finish(false);
+    }
+    
+    finish(arrived) {
+        const flight = this.flight;
+        this.flight = null;
+        this.controls.autoRotate = flight.autoRotate;
+        this.controls.enableDamping = flight.enableDamping;
+        flight.resolve(arrived);
+    }
+    
+    update(time) {
+        this.tweens.update(time);
+    }
+}
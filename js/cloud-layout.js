@@ -0,0 +1,184 @@
+// Arrangements for the landing page model cloud
+//
+// arrange() places any number of models and returns one position per item:
+//
+//   CloudLayout.arrange([{ radius: 5 }, { radius: 5, featured: true }], { type: 'ring' })
+//   -> [{ x, y, z }, { x, y, z }]
+//
+// Types:
+//   ring    evenly around a circle, rising `rise` per slot
+//   grid    rows facing the camera, `columns` wide (default: square-ish)
+//   spiral  golden-angle spiral out from the centre, rising `rise` per slot
+//   cloud   a sphere pulled together and relaxed until nothing overlaps
+//
+// Featured items take the most prominent slots (the first ring slot, the middle of
+// the grid, spiral and cloud); the rest keep their order. Every arrangement ends
+// with relax(), which pushes overlapping items apart by their radii.
+// Configured by the catalog `layout` (see data/catalog.json). Runs in the browser
+// (global `CloudLayout`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CloudLayout = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const TYPES = ['ring', 'grid', 'spiral', 'cloud'];
+    const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+    const DEFAULTS = {
+        type: 'ring',
+        spacing: 20, // ring radius, grid pitch, spiral and cloud scale
+        rise: 5, // vertical step per slot (ring, spiral)
+        columns: 0, // grid width, 0 = automatic
+        gap: 0.05, // relax() clearance, as a fraction of the radii
+        iterations: 40
+    };
+    
+    function ringSlots(count, options) {
+        return Array.from({ length: count }, (_, slot) => {
+            const angle = (slot / count) * Math.PI * 2;
+            return {
+                x: Math.cos(angle) * options.spacing,
+                y: (slot - (count - 1) / 2) * options.rise,
+                z: Math.sin(angle) * options.spacing
+            };
+        });
+    }
+    
+    function gridSlots(count, options) {
+        const columns = options.columns > 0 ? options.columns : Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+        const slots = Array.from({ length: count }, (_, slot) => ({
+            x: ((slot % columns) - (columns - 1) / 2) * options.spacing,
+            y: ((rows - 1) / 2 - Math.floor(slot / columns)) * options.spacing,
+            z: 0
+        }));
+        // Middle first; the sort is stable, so equal distances keep reading order
+        return slots.sort((a, b) => Math.hypot(a.x, a.y) - Math.hypot(b.x, b.y));
+    }
+    
+    function spiralSlots(count, options) {
+        return Array.from({ length: count }, (_, slot) => {
+            const radius = options.spacing * 0.5 * Math.sqrt(slot);
+            const angle = slot * GOLDEN_ANGLE;
+            return {
+                x: Math.cos(angle) * radius,
+                y: (slot - (count - 1) / 2) * options.rise,
+                z: Math.sin(angle) * radius
+            };
+        });
+    }
+    
+    // Fibonacci sphere, featured slots at the centre; arrange() then packs it with relax()
+    function cloudSlots(count, options, featuredCount) {
+        const radius = options.spacing * 0.5 * Math.cbrt(count);
+        const outer = count - featuredCount;
+        return Array.from({ length: count }, (_, slot) => {
+            if (slot < featuredCount) {
+                // Spread slightly so coincident centres have a direction to separate in
+                const angle = slot * GOLDEN_ANGLE;
+                return { x: Math.cos(angle) * 0.5 * slot, y: 0, z: Math.sin(angle) * 0.5 * slot };
+            }
+            const index = slot - featuredCount;
+            const y = outer > 1 ? 1 - (index / (outer - 1)) * 2 : 0;
+            const ring = Math.sqrt(1 - y * y);
+            const angle = index * GOLDEN_ANGLE;
+            return { x: Math.cos(angle) * ring * radius, y: y * radius, z: Math.sin(angle) * ring * radius };
+        });
+    }
+    
+    // Pushes overlapping items apart; `pull` (0..1) also draws every item towards
+    // the origin each iteration, featured items twice as hard, to pack a cloud
+    function relax(positions, radii, options = {}) {
+        const gap = options.gap !== undefined ? options.gap : DEFAULTS.gap;
+        const iterations = options.iterations || DEFAULTS.iterations;
+        const pull = options.pull || 0;
+        const featured = options.featured || [];
+        
+        for (let iter = 0; iter < iterations; iter++) {
+            if (pull > 0) {
+                positions.forEach((position, i) => {
+                    const factor = 1 - pull * (featured[i] ? 2 : 1);
+                    position.x *= factor;
+                    position.y *= factor;
+                    position.z *= factor;
+                });
+            }
+            let anyMoved = false;
+            for (let i = 0; i < positions.length; i++) {
+                for (let j = i + 1; j < positions.length; j++) {
+                    const a = positions[i];
+                    const b = positions[j];
+                    let dx = b.x - a.x;
+                    let dy = b.y - a.y;
+                    let dz = b.z - a.z;
+                    let dist = Math.hypot(dx, dy, dz);
+                    const minDist = (radii[i] + radii[j]) * (1 + gap);
+                    if (dist < 1e-4) {
+                        // Coincident; separate along a direction derived from the pair
+                        const angle = (i * 7 + j) * GOLDEN_ANGLE;
+                        dx = Math.cos(angle);
+                        dy = 0;
+                        dz = Math.sin(angle);
+                        dist = 1;
+                    }
+                    if (dist < minDist) {
+                        const push = (minDist - dist) * 0.55 * 0.5 / dist; // a bit more than half to speed convergence
+                        a.x -= dx * push;
+                        a.y -= dy * push;
+                        a.z -= dz * push;
+                        b.x += dx * push;
+                        b.y += dy * push;
+                        b.z += dz * push;
+                        anyMoved = true;
+                    }
+                }
+            }
+            if (!anyMoved && pull === 0) break;
+        }
+        return positions;
+    }
+    
+    function arrange(items, options = {}) {
+        const settings = Object.assign({}, DEFAULTS, options);
+        if (!TYPES.includes(settings.type)) {
+            throw new Error(`Unknown layout type "${settings.type}" (expected ${TYPES.join(', ')})`);
+        }
+        
+        // Slot order: featured items first, each group in its original order
+        const order = items.map((item, index) => index);
+        order.sort((a, b) => (items[b].featured ? 1 : 0) - (items[a].featured ? 1 : 0) || a - b);
+        const featuredCount = items.filter(item => item.featured).length;
+        
+        let slots;
+        if (settings.type === 'ring') slots = ringSlots(items.length, settings);
+        else if (settings.type === 'grid') slots = gridSlots(items.length, settings);
+        else if (settings.type === 'spiral') slots = spiralSlots(items.length, settings);
+        else slots = cloudSlots(items.length, settings, featuredCount);
+        
+        const positions = [];
+        order.forEach((itemIndex, slot) => {
+            positions[itemIndex] = slots[slot];
+        });
+        
+        const radii = items.map(item => item.radius || 0);
+        if (settings.type === 'cloud') {
+            relax(positions, radii, {
+                gap: settings.gap,
+                iterations: settings.iterations,
+                pull: 0.05,
+                featured: items.map(item => !!item.featured)
+            });
+        }
+        // A final pass without pull so the result never overlaps
+        return relax(positions, radii, { gap: settings.gap, iterations: settings.iterations });
+    }
+    
+    return {
+        TYPES,
+        DEFAULTS,
+        arrange,
+        relax
+    };
+}));
@@ -0,0 +1,179 @@
+// Cut pattern geometry and vector export (SVG / DXF)
+//
+// Each guide part may describe its shape in coordinates normalized to its own
+// width/height (0..1, y pointing down from the top edge):
+//
+//   { name, width, height, quantity,
+//     outline: [[x, y], ...],             // closed cut path, defaults to the full rectangle
+//     scores: [[[x1, y1], [x2, y2]], ...] // fold lines }
+//
+// Because coordinates are relative, a resized guide (js/guide-scale.js) produces
+// resized patterns for free. Exports are true scale in millimetres with cut and
+// score lines on separate layers.
+//
+// Runs in the browser (global `CutPatterns`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CutPatterns = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const RECTANGLE = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    const SPACING = 10; // mm between parts in combined files
+    const MAX_ROW_WIDTH = 1200; // mm, wrap combined layouts onto a new row past this
+    
+    const LAYERS = {
+        cut: { name: 'CUT', svgColor: '#ff0000', dxfColor: 1 }, // red
+        score: { name: 'SCORE', svgColor: '#0000ff', dxfColor: 5 } // blue
+    };
+    
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    // Part in millimetres, origin at its top-left corner
+    function partGeometry(part) {
+        const toMm = ([x, y]) => [round(x * part.width), round(y * part.height)];
+        return {
+            name: part.name,
+            width: part.width,
+            height: part.height,
+            outline: (part.outline || RECTANGLE).map(toMm),
+            scores: (part.scores || []).map(line => line.map(toMm))
+        };
+    }
+    
+    // One entry per physical piece (quantities expanded), placed left-to-right in rows
+    function layoutParts(parts) {
+        const placed = [];
+        let x = 0;
+        let y = 0;
+        let rowHeight = 0;
+        let width = 0;
+        
+        parts.forEach(part => {
+            const geometry = partGeometry(part);
+            for (let copy = 0; copy < (part.quantity || 1); copy++) {
+                if (x > 0 && x + geometry.width > MAX_ROW_WIDTH) {
+                    x = 0;
+                    y += rowHeight + SPACING;
+                    rowHeight = 0;
+                }
+                placed.push({ geometry, x, y });
+                x += geometry.width + SPACING;
+                rowHeight = Math.max(rowHeight, geometry.height);
+                width = Math.max(width, x - SPACING);
+            }
+        });
+        
+        return { placed, width, height: y + rowHeight };
+    }
+    
+    function offset(points, dx, dy) {
+        return points.map(([x, y]) => [round(x + dx), round(y + dy)]);
+    }
+    
+    function escapeXml(text) {
+        return String(text).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[char]));
+    }
+    
+    function toSVG(parts, options = {}) {
+        const { placed, width, height } = layoutParts(parts);
+        const cutPaths = [];
+        const scoreLines = [];
+        
+        placed.forEach(({ geometry, x, y }) => {
+            const outline = offset(geometry.outline, x, y);
+            cutPaths.push(`    <polygon points="${outline.map(point => point.join(',')).join(' ')}"><title>${escapeXml(geometry.name)}</title></polygon>`);
+            geometry.scores.forEach(line => {
+                const [[x1, y1], [x2, y2]] = offset(line, x, y);
+                scoreLines.push(`    <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`);
+            });
+        });
+        
+        const layer = (key, body, extra) => [
+            `  <g id="${LAYERS[key].name.toLowerCase()}" inkscape:groupmode="layer" inkscape:label="${LAYERS[key].name}" ` +
+                `fill="none" stroke="${LAYERS[key].svgColor}" stroke-width="0.25"${extra || ''}>`,
+            ...body,
+            '  </g>'
+        ];
+        
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+                `width="${round(width)}mm" height="${round(height)}mm" viewBox="0 0 ${round(width)} ${round(height)}">`,
+            `  <title>${escapeXml(options.title || 'Cut pattern')}</title>`,
+            ...layer('cut', cutPaths),
+            ...layer('score', scoreLines, ' stroke-dasharray="4 2"'),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+    
+    // Minimal ASCII DXF (R12 entities, millimetre units, y axis pointing up)
+    function toDXF(parts) {
+        const { placed, height } = layoutParts(parts);
+        const lines = [];
+        const pair = (code, value) => lines.push(String(code), String(value));
+        const line = (layer, [x1, y1], [x2, y2]) => {
+            pair(0, 'LINE');
+            pair(8, layer);
+            pair(10, x1);
+            pair(20, round(height - y1));
+            pair(30, 0);
+            pair(11, x2);
+            pair(21, round(height - y2));
+            pair(31, 0);
+        };
+        
+        pair(0, 'SECTION');
+        pair(2, 'HEADER');
+        pair(9, '$ACADVER');
+        pair(1, 'AC1009'); // R12, the version these entities and tables are written in
+        pair(9, '$INSUNITS');
+        pair(70, 4); // millimetres; R12 has no units variable, later readers still honour it
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'SECTION');
+        pair(2, 'TABLES');
+        pair(0, 'TABLE');
+        pair(2, 'LAYER');
+        pair(70, 2);
+        Object.keys(LAYERS).forEach(key => {
+            pair(0, 'LAYER');
+            pair(2, LAYERS[key].name);
+            pair(70, 0);
+            pair(62, LAYERS[key].dxfColor);
+            pair(6, 'CONTINUOUS');
+        });
+        pair(0, 'ENDTAB');
+        pair(0, 'ENDSEC');
+        
+        pair(0, 'SECTION');
+        pair(2, 'ENTITIES');
+        placed.forEach(({ geometry, x, y }) => {
+            const outline = offset(geometry.outline, x, y);
+            outline.forEach((point, index) => {
+                line(LAYERS.cut.name, point, outline[(index + 1) % outline.length]);
+            });
+            geometry.scores.forEach(score => {
+                const [start, end] = offset(score, x, y);
+                line(LAYERS.score.name, start, end);
+            });
+        });
+        pair(0, 'ENDSEC');
+        pair(0, 'EOF');
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    return {
+        LAYERS,
+        partGeometry,
+        layoutParts,
+        toSVG,
+        toDXF
+    };
+}));
@@ -0,0 +1,224 @@
+// Step 4 3D preview of the finalized design
+//
+// A small, self-contained Three.js viewer: its own scene, camera, renderer,
+// OrbitControls and requestAnimationFrame loop, so it never touches the landing
+// page model cloud in script.js. The loop only runs while the viewer has a model
+// and is on screen. Animations go through `tweens`, a TWEEN group updated by that loop.
+
+class DesignPreview {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onStatus = options.onStatus || (() => {});
+        this.loader = options.loader || new THREE.GLTFLoader(); // pass one set up for Draco/Meshopt
+        this.model = null;
+        this.modelUrl = null;
+        this.loadId = 0;
+        this.visible = false;
+        this.frameId = null;
+        this.tweens = new TWEEN.Group();
+        this.capturing = false; // exportView() in progress, live loop paused
+        this.homePosition = new THREE.Vector3(0, 1, 3);
+        this.homeTarget = new THREE.Vector3(0, 0, 0);
+        
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(40, 1, 0.01, 100);
+        this.camera.position.copy(this.homePosition);
+        
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.outputEncoding = THREE.sRGBEncoding;
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.container.appendChild(this.renderer.domElement);
+        
+        this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.08;
+        this.controls.enablePan = false;
+        this.controls.autoRotateSpeed = 2.0; // one turn every 30 seconds
+        this.capture = new SceneCapture(this.renderer, this.scene, this.camera);
+        
+        this.setupLighting();
+        
+        // Size and visibility follow the container, not the window
+        this.resize();
+        if (window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.container);
+        }
+        if (window.IntersectionObserver) {
+            this.intersectionObserver = new IntersectionObserver((entries) => {
+                this.visible = entries[entries.length - 1].isIntersecting;
+                this.updateLoop();
+            });
+            this.intersectionObserver.observe(this.container);
+        } else {
+            this.visible = true;
+        }
+    }
+    
+    setupLighting() {
+        this.scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 0.7));
+        
+        const keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        keyLight.position.set(3, 5, 4);
+        keyLight.castShadow = true;
+        keyLight.shadow.mapSize.width = 1024;
+        keyLight.shadow.mapSize.height = 1024;
+        this.scene.add(keyLight);
+        this.keyLight = keyLight;
+        
+        // Shadow catcher under the model
+        const ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(10, 10),
+            new THREE.ShadowMaterial({ opacity: 0.25 })
+        );
+        ground.rotation.x = -Math.PI / 2;
+        ground.receiveShadow = true;
+        this.scene.add(ground);
+        this.ground = ground;
+    }
+    
+    load(url) {
+        if (url === this.modelUrl && this.model) return Promise.resolve(this.model);
+        
+        this.clear();
+        const loadId = ++this.loadId;
+        this.modelUrl = url;
+        this.onStatus('Loading 3D preview...');
+        
+        return new Promise((resolve, reject) => {
+            this.loader.load(url, resolve, undefined, reject);
+        }).then((gltf) => {
+            if (loadId !== this.loadId) return null; // another design was finalized meanwhile
+            gltf.scene.traverse((child) => {
+                if (child.isMesh) {
+                    child.castShadow = true;
+                    child.receiveShadow = true;
+                }
+            });
+            this.setObject(gltf.scene);
+            this.modelUrl = url;
+            return this.model;
+        }).catch((error) => {
+            if (loadId !== this.loadId) return null;
+            console.error(`Error loading design preview ${url}:`, error);
+            this.modelUrl = null;
+            this.onStatus('The 3D preview could not be loaded.');
+            throw error;
+        });
+    }
+    
+    // Show an object built elsewhere (e.g. the assembly sequence) instead of a GLB
+    setObject(object) {
+        this.clear();
+        this.model = object;
+        this.scene.add(this.model);
+        this.frameModel();
+        this.onStatus('');
+        this.updateLoop();
+    }
+    
+    clear() {
+        this.loadId++;
+        this.tweens.removeAll();
+        if (this.model) {
+            this.scene.remove(this.model);
+            this.model.traverse((child) => {
+                if (!child.isMesh) return;
+                child.geometry.dispose();
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach((material) => {
+                    Object.keys(material).forEach((key) => {
+                        if (material[key] && material[key].isTexture) material[key].dispose();
+                    });
+                    material.dispose();
+                });
+            });
+        }
+        this.model = null;
+        this.modelUrl = null;
+        this.updateLoop();
+        this.renderer.clear();
+    }
+    
+    frameModel() {
+        // Stand the model on the ground at the origin and fit the camera to it
+        const box = new THREE.Box3().setFromObject(this.model);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        this.model.position.x -= center.x;
+        this.model.position.z -= center.z;
+        this.model.position.y -= box.min.y;
+        
+        const radius = Math.max(size.length() / 2, 0.001);
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        this.homeTarget.set(0, size.y / 2, 0);
+        this.homePosition.set(distance * 0.6, size.y / 2 + distance * 0.35, distance * 0.72);
+        
+        this.camera.near = distance / 100;
+        this.camera.far = distance * 10;
+        this.camera.updateProjectionMatrix();
+        this.controls.minDistance = radius * 1.2;
+        this.controls.maxDistance = distance * 3;
+        
+        this.ground.scale.setScalar(radius);
+        this.keyLight.position.set(radius * 3, radius * 5, radius * 4);
+        const shadowCamera = this.keyLight.shadow.camera;
+        shadowCamera.left = shadowCamera.bottom = -radius * 2;
+        shadowCamera.right = shadowCamera.top = radius * 2;
+        shadowCamera.far = radius * 20;
+        shadowCamera.updateProjectionMatrix();
+        
+        this.resetView();
+    }
+    
+    resetView() {
+        this.camera.position.copy(this.homePosition);
+        this.controls.target.copy(this.homeTarget);
+        this.controls.update();
+    }
+    
+    setTurntable(enabled) {
+        this.controls.autoRotate = enabled;
+    }
+    
+    // PNG still or turntable (js/scene-capture.js) of the current model
+    async exportView(options) {
+        if (!this.model) throw new Error('There is no 3D preview to export yet');
+        this.capturing = true;
+        this.updateLoop();
+        try {
+            if (options.format === 'png') return await this.capture.snapshot(options);
+            return await this.capture.turntable(Object.assign({ target: this.controls.target }, options));
+        } finally {
+            this.capturing = false;
+            this.updateLoop();
+        }
+    }
+    
+    resize() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (!width || !height) return;
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+    }
+    
+    updateLoop() {
+        const shouldRun = this.visible && !!this.model && !this.capturing;
+        if (shouldRun && this.frameId === null) {
+            const tick = () => {
+                this.frameId = requestAnimationFrame(tick);
+                this.tweens.update();
+                this.controls.update();
+                this.renderer.render(this.scene, this.camera);
+            };
+            tick();
+        } else if (!shouldRun && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+}
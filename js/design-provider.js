@@ -0,0 +1,52 @@
+// Design generation providers
+//
+// A provider turns the Step 1 source image and the Step 2 prompt into candidate
+// design images for Step 3. Any object with this shape can be plugged into
+// Scene3D via `scene3D.designProvider = new MyProvider()`:
+//
+//   generate({ image: { src, name }, prompt, count }) -> Promise<{ images: [url, ...] }>
+//
+// Providers should reject with an Error when generation fails.
+
+class MockDesignProvider {
+    constructor(options = {}) {
+        this.latency = options.latency !== undefined ? options.latency : 1200; // ms, fake network delay
+        
+        // Bundled renders, keyed by the prompt suggestion that produced them: [{ prompt, images }]
+        this.imageSets = options.imageSets || [];
+    }
+    
+    generate({ image, prompt, count = 3 } = {}) {
+        return new Promise((resolve, reject) => {
+            if (!image || !image.src) {
+                reject(new Error('A source image is required'));
+                return;
+            }
+            
+            const set = this.pickImageSet(prompt || '');
+            if (!set) {
+                reject(new Error('No bundled designs available'));
+                return;
+            }
+            
+            setTimeout(() => {
+                resolve({ images: set.images.slice(0, count) });
+            }, this.latency);
+        });
+    }
+    
+    pickImageSet(prompt) {
+        if (this.imageSets.length === 0) return null;
+        
+        const normalized = prompt.trim().toLowerCase();
+        const exact = this.imageSets.find(set => set.prompt.toLowerCase() === normalized);
+        if (exact) return exact;
+        
+        // Unknown prompt: pick a stable set so the same text always gives the same result
+        let hash = 0;
+        for (let i = 0; i < normalized.length; i++) {
+            hash = (hash * 31 + normalized.charCodeAt(i)) >>> 0;
+        }
+        return this.imageSets[hash % this.imageSets.length];
+    }
+}
@@ -0,0 +1,303 @@
+// Step 4 build guide renderer
+//
+// Turns a structured guide (data/guides/*.json) into the heading/list markup
+// styled by `.step-4-guide`. Measurements are stored once in mm/kg, either as
+// { mm } / { kg } fields or as {len:...}/{mass:...} tokens in text (see js/units.js),
+// and are rendered in the unit system passed to render(). Guide shape:
+//
+//   { id, title, subtitle, overview, dimensions: [{ label, mm }], sheet: { width, height, flute },
+//     materials: [text | { text, sheets: true }],
+//     components: { total, items: [{ module, name }] },
+//     sections: [{ title, description, modules: [number] }],
+//     modules: [{ number, name, subtitle, specs: { size, shape },
+//                 parts: [{ name, width, height, quantity, grain, outline, scores }],
+//                 cuts: { heading, label, diagram: [line], intro, ordered, steps, components },
+//                 position, function, assembly: [text], elevations: { front, side, top, rear } }],
+//     phases: [{ name, items: [text | { module, label }] }],
+//     qualityControl: { checklist, loadTests, finishing },
+//     finalSpecifications: [{ label, mm | kg | value }] }
+
+class GuideRenderer {
+    constructor(container) {
+        this.container = container;
+        this.units = 'imperial';
+    }
+    
+    render(guide, options = {}) {
+        this.units = options.units || 'imperial';
+        this.container.innerHTML = '';
+        
+        this.add('h1', guide.title);
+        if (guide.subtitle) this.add('h2', guide.subtitle);
+        if (guide.scale && guide.scale !== 1) {
+            this.add('p', `Resized to ${Math.round(guide.scale * 100)}% of the original design.`).className = 'guide-note';
+        }
+        
+        this.add('h3', 'Overview');
+        this.add('p', guide.overview);
+        
+        this.add('h3', 'Finished Dimensions');
+        this.addList(guide.dimensions.map(dim => `${dim.label}: ${this.formatMeasure(dim)}`));
+        
+        const parts = GuideScale.allParts(guide);
+        const nesting = Nesting.nestParts(parts, GuideScale.sheetFor(guide));
+        this.sheet = nesting.sheet;
+        
+        this.add('h3', 'Materials Required');
+        this.addList(guide.materials.map(item => (
+            typeof item === 'string' ? item : this.formatSheetMaterial(item, nesting)
+        )));
+        if (nesting.oversized.length > 0) {
+            this.add('p', `${nesting.oversized.length} cut pieces are larger than a ${this.formatSheetSize(nesting.sheet)} sheet. ` +
+                'Join sheets before cutting or use larger stock.').className = 'guide-warning';
+        }
+        if (parts.length > 0) {
+            this.renderSheetLayout(nesting);
+            this.addExportButtons('All cut patterns (true scale, mm)');
+        }
+        
+        if (guide.components) {
+            this.add('h3', 'Component Overview');
+            this.add('p', `Total: ${guide.components.total} Modules`);
+            this.addList(guide.components.items.map(item => `Module ${item.module}: ${item.name}`));
+        }
+        
+        // Module sections, in the order the guide lists them
+        const modulesByNumber = {};
+        guide.modules.forEach(module => {
+            modulesByNumber[module.number] = module;
+        });
+        guide.sections.forEach(section => {
+            this.add('h2', section.title);
+            if (section.description) this.add('p', section.description);
+            section.modules.forEach(number => {
+                const module = modulesByNumber[number];
+                if (module) {
+                    this.renderModule(module);
+                } else {
+                    console.warn(`Guide ${guide.id}: section "${section.title}" references missing module ${number}`);
+                }
+            });
+        });
+        
+        // data-phase links each phase to the Step 4 assembly preview (see highlightPhase)
+        this.add('h2', 'ASSEMBLY SEQUENCE');
+        guide.phases.forEach((phase, index) => {
+            const heading = this.add('h4', phase.name);
+            const list = this.addList(phase.items.map(item => (
+                typeof item === 'string' ? item : `${item.label} (Module ${item.module})`
+            )));
+            [heading, list].forEach(el => {
+                el.classList.add('guide-phase');
+                el.dataset.phase = String(index);
+            });
+        });
+        
+        const qc = guide.qualityControl;
+        if (qc) {
+            this.add('h2', 'QUALITY CONTROL');
+            this.add('h4', 'Assembly Checklist');
+            this.addList(qc.checklist);
+            this.add('h4', 'Load Testing');
+            this.addList(qc.loadTests);
+            this.add('h4', 'Finishing');
+            this.addList(qc.finishing);
+        }
+        
+        this.add('h2', 'FINAL SPECIFICATIONS');
+        this.addList(guide.finalSpecifications.map(spec => `${spec.label}: ${this.formatMeasure(spec)}`));
+    }
+    
+    renderModule(module) {
+        this.add('h3', `Module ${module.number}: ${module.name}`);
+        if (module.subtitle) this.add('h4', module.subtitle);
+        
+        this.add('h5', 'Specifications');
+        this.addList([`Size: ${module.specs.size}`, `Shape: ${module.specs.shape}`]);
+        
+        if (module.parts && module.parts.length) {
+            this.add('h5', 'Cut List');
+            const list = this.addList(module.parts.map(part => (
+                `${part.quantity} x ${part.name}: ${Units.formatLength(part.width, this.units)} x ${Units.formatLength(part.height, this.units)}`
+            )));
+            module.parts.forEach((part, index) => {
+                if (Nesting.fitsSheet(part, this.sheet)) return;
+                const item = list.children[index];
+                item.classList.add('guide-warning');
+                item.textContent += ` -- larger than a ${this.formatSheetSize(this.sheet)} sheet`;
+            });
+            this.addExportButtons(`Module ${module.number} cut pattern`, module.number);
+        }
+        
+        const cuts = module.cuts;
+        if (cuts) {
+            this.add('h5', cuts.heading || 'Cutting instructions');
+            if (cuts.label) {
+                const label = document.createElement('strong');
+                label.textContent = cuts.label;
+                this.add('p').appendChild(label);
+            }
+            if (cuts.diagram) {
+                // Pad relabelled values so the ASCII art stays aligned in both unit systems
+                this.add('pre', Units.formatText(cuts.diagram.join('\n'), this.units, { pad: true }));
+            }
+            if (cuts.intro) this.add('p', cuts.intro);
+            if (cuts.steps) this.addList(cuts.steps, cuts.ordered !== false);
+            (cuts.components || []).forEach(component => {
+                this.add('h6', component.name);
+                if (component.steps) this.addList(component.steps, true);
+                if (component.text) this.add('p', component.text);
+            });
+        }
+        
+        if (module.position) this.addLabelled('Position', module.position);
+        if (module.function) this.addLabelled('Function', module.function);
+        
+        if (module.assembly && module.assembly.length) {
+            this.add('h5', 'Assembly Instructions');
+            this.addList(module.assembly, true);
+        }
+        
+        if (module.elevations) {
+            this.add('h5', 'Elevational Views');
+            const views = ['front', 'side', 'top', 'rear'];
+            this.addList(views
+                .filter(view => module.elevations[view])
+                .map(view => `${view.charAt(0).toUpperCase()}${view.slice(1)}: ${module.elevations[view]}`));
+        }
+    }
+    
+    renderSheetLayout(nesting) {
+        this.add('h4', 'Sheet Layout');
+        const flute = nesting.sheet.flute === 'width' ? 'across' : 'along the height of';
+        this.add('p', `${nesting.count} sheets, ${Math.round(nesting.waste * 100)}% waste. ` +
+            `Flutes run ${flute} each sheet; keep the pieces in the orientation shown.`);
+        
+        const layout = this.add('div');
+        layout.className = 'guide-sheet-layout';
+        nesting.sheets.forEach((sheet, index) => {
+            layout.appendChild(this.renderSheet(nesting.sheet, sheet, index + 1));
+        });
+    }
+    
+    renderSheet(size, sheet, number) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const figure = document.createElement('figure');
+        figure.className = 'guide-sheet';
+        
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `Sheet ${number}: ${sheet.placements.map(placement => placement.part.name).join(', ')}`);
+        
+        const board = document.createElementNS(ns, 'rect');
+        board.setAttribute('class', 'guide-sheet-board');
+        board.setAttribute('width', size.width);
+        board.setAttribute('height', size.height);
+        svg.appendChild(board);
+        
+        sheet.placements.forEach(placement => {
+            const piece = document.createElementNS(ns, 'polygon');
+            piece.setAttribute('class', 'guide-sheet-part');
+            piece.setAttribute('points', Nesting.placementOutline(placement).map(point => point.join(',')).join(' '));
+            const title = document.createElementNS(ns, 'title');
+            title.textContent = `Module ${placement.part.module}: ${placement.part.name}${placement.rotated ? ' (turned)' : ''}`;
+            piece.appendChild(title);
+            svg.appendChild(piece);
+        });
+        
+        const caption = document.createElement('figcaption');
+        caption.textContent = `Sheet ${number}`;
+        figure.appendChild(svg);
+        figure.appendChild(caption);
+        return figure;
+    }
+    
+    addExportButtons(label, moduleNumber) {
+        // Handled by Scene3D through a delegated click on the guide container
+        const bar = this.add('p');
+        bar.className = 'guide-export';
+        bar.appendChild(document.createTextNode(`${label}: `));
+        ['svg', 'dxf'].forEach(format => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'guide-export-button';
+            button.dataset.export = format;
+            if (moduleNumber !== undefined) button.dataset.module = String(moduleNumber);
+            button.textContent = format.toUpperCase();
+            bar.appendChild(button);
+        });
+        return bar;
+    }
+    
+    formatSheetSize(sheet) {
+        return `${Units.formatLength(sheet.width, this.units)} x ${Units.formatLength(sheet.height, this.units)}`;
+    }
+    
+    formatSheetMaterial(item, nesting) {
+        const oversized = nesting.oversized.length ? `, plus stock for ${nesting.oversized.length} oversized pieces` : '';
+        return `${nesting.count} ${item.text} (${this.formatSheetSize(nesting.sheet)})${oversized}`;
+    }
+    
+    format(text) {
+        return Units.formatText(text, this.units);
+    }
+    
+    formatMeasure(entry) {
+        if (Array.isArray(entry.mm)) {
+            return entry.mm.map(mm => Units.formatLength(mm, this.units)).join(' x ');
+        }
+        if (entry.mm !== undefined) return Units.formatLength(entry.mm, this.units);
+        if (entry.kg !== undefined) return Units.formatMass(entry.kg, this.units);
+        return this.format(entry.value);
+    }
+    
+    add(tag, text) {
+        const el = document.createElement(tag);
+        if (text !== undefined) el.textContent = this.format(text);
+        this.container.appendChild(el);
+        return el;
+    }
+    
+    addList(items, ordered = false) {
+        const list = this.add(ordered ? 'ol' : 'ul');
+        items.forEach(text => {
+            const li = document.createElement('li');
+            li.textContent = this.format(text);
+            list.appendChild(li);
+        });
+        return list;
+    }
+    
+    addLabelled(label, text) {
+        const p = this.add('p');
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}:`;
+        p.appendChild(strong);
+        p.appendChild(document.createTextNode(` ${this.format(text)}`));
+        return p;
+    }
+    
+    highlightPhase(index) {
+        let first = null;
+        this.container.querySelectorAll('.guide-phase').forEach(el => {
+            const active = el.dataset.phase === String(index);
+            el.classList.toggle('guide-phase-active', active);
+            if (active && !first) first = el;
+        });
+        if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
+    renderPlaceholder(message) {
+        this.container.innerHTML = '';
+        this.add('p', message).className = 'step-4-placeholder';
+    }
+    
+    // Shown in place of a guide that fails validateGuide(), so contradictions never reach a builder
+    renderErrors(guide, errors) {
+        this.container.innerHTML = '';
+        this.add('h1', guide.title || 'Build guide');
+        this.add('p', 'This build guide contradicts itself and is held back until it is corrected:').className = 'guide-warning';
+        this.addList(errors.map(issue => issue.message)).className = 'guide-errors';
+    }
+}
@@ -0,0 +1,94 @@
+// Parametric resizing for build guides
+//
+// scaleGuide(guide, factor) returns a copy of the guide with every length multiplied
+// by `factor`: {len:...} tokens in text, `mm` fields and module part sizes. Masses
+// ({mass:...}, `kg`) are left alone; load ratings are not proportional to size.
+//
+// Parts are the cut pieces of a module: { name, width, height, quantity } in mm,
+// cut from the guide's standard sheet ({ width, height, flute } in mm, see js/nesting.js).
+//
+// Runs in the browser (global `GuideScale`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GuideScale = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const LENGTH_TOKEN = /\{len:(-?\d+(?:\.\d+)?)\}/g;
+    const DEFAULT_SHEET = { width: 914, height: 1219 }; // 36" x 48" corrugated sheet
+    
+    // Which guide dimension each resize target refers to
+    const TARGETS = {
+        height: 'Height',
+        seatHeight: 'Seat Height'
+    };
+    
+    function roundMm(value) {
+        return Math.round(value * 10) / 10;
+    }
+    
+    function scaleValue(value, factor) {
+        if (typeof value === 'string') {
+            return value.replace(LENGTH_TOKEN, (token, mm) => `{len:${roundMm(parseFloat(mm) * factor)}}`);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => scaleValue(item, factor));
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = scaleValue(value[key], factor);
+            });
+            
+            // Numeric lengths: { mm } entries and part sizes
+            if (typeof value.mm === 'number') copy.mm = roundMm(value.mm * factor);
+            if (Array.isArray(value.mm)) copy.mm = value.mm.map(mm => roundMm(mm * factor));
+            if (value.quantity !== undefined && typeof value.width === 'number') {
+                copy.width = roundMm(value.width * factor);
+                copy.height = roundMm(value.height * factor);
+            }
+            return copy;
+        }
+        return value;
+    }
+    
+    function scaleGuide(guide, factor) {
+        if (!factor || factor === 1) return guide;
+        const scaled = scaleValue(guide, factor);
+        scaled.sheet = guide.sheet; // sheet stock doesn't grow with the chair
+        scaled.scale = factor;
+        return scaled;
+    }
+    
+    function scaleFactorFor(guide, target, targetMm) {
+        const label = TARGETS[target];
+        const dimension = label && guide.dimensions.find(dim => dim.label === label);
+        if (!dimension || !targetMm || targetMm <= 0) return 1;
+        return targetMm / dimension.mm;
+    }
+    
+    function sheetFor(guide) {
+        return guide.sheet || DEFAULT_SHEET;
+    }
+    
+    function allParts(guide) {
+        const parts = [];
+        (guide.modules || []).forEach(module => {
+            (module.parts || []).forEach(part => {
+                parts.push(Object.assign({ module: module.number }, part));
+            });
+        });
+        return parts;
+    }
+    
+    return {
+        TARGETS,
+        DEFAULT_SHEET,
+        scaleGuide,
+        scaleFactorFor,
+        sheetFor,
+        allParts
+    };
+}));
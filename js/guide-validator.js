@@ -0,0 +1,231 @@
+// Build guide consistency checks
+//
+// validateGuide(guide) -> { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+//
+// Malformed guides (a missing list, an entry without its label) are reported as errors
+// rather than thrown, and the malformed parts are left out of the checks below.
+// Catches the contradictions a hand-edited guide tends to pick up: module counts that
+// disagree, assembly steps that point at undefined modules, component names that drift
+// from the module they describe, dimensions quoted differently in two places, and
+// measurements typed as literal text instead of unit tokens (see js/units.js).
+// Runs in the browser (global `validateGuide`) and in Node (tools/validate-guides.js).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.validateGuide = factory().validateGuide;
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Dimensions that are quoted both in "Finished Dimensions" and "FINAL SPECIFICATIONS"
+    const OVERALL_AXES = ['Width', 'Depth', 'Height'];
+    const DIMENSION_TOLERANCE = 13; // mm, about half an inch
+    
+    // A number followed by a unit outside a {len:..}/{mass:..} token won't follow the unit toggle
+    // ("in" only counts before "x", punctuation or end of text, so "component 2 in the" passes)
+    const LITERAL_UNIT_PATTERN = /\d(?:\.\d+)?\s*(?:"|(?:inches|mm|cm|lbs?|kg)\b|in(?=\s*(?:x\s|[),.;]|$)))/;
+    
+    function firstNumber(text) {
+        const match = String(text).match(/\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+    }
+    
+    function collectStrings(value, path, out) {
+        if (typeof value === 'string') {
+            out.push({ path, text: value });
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => collectStrings(item, `${path}[${index}]`, out));
+        } else if (value && typeof value === 'object') {
+            Object.keys(value).forEach(key => collectStrings(value[key], path ? `${path}.${key}` : key, out));
+        }
+        return out;
+    }
+    
+    function findEntry(list, label) {
+        return list.find(entry => entry.label.toLowerCase() === label.toLowerCase());
+    }
+    
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    function describe(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'a list' : typeof value;
+    }
+    
+    // owner[key] as a list, or [] after reporting why it is not one
+    function listAt(owner, key, path, error, required) {
+        const value = owner[key];
+        if (Array.isArray(value)) return value;
+        if (value !== undefined) {
+            error(path, `Expected a list, found ${describe(value)}`);
+        } else if (required) {
+            error(path, 'Missing list');
+        }
+        return [];
+    }
+    
+    // The entries that pass `check`; each one that does not is reported with `expected`.
+    // Paths below take their index from the original list (list.indexOf), not this one.
+    function entriesWhere(list, path, error, check, expected) {
+        return list.filter((entry, index) => {
+            if (check(entry)) return true;
+            error(`${path}[${index}]`, `Expected ${expected}, found ${isObject(entry) ? JSON.stringify(entry) : describe(entry)}`);
+            return false;
+        });
+    }
+    
+    function validateGuide(guide) {
+        const errors = [];
+        const warnings = [];
+        const error = (path, message) => errors.push({ path, message });
+        const warn = (path, message) => warnings.push({ path, message });
+        
+        if (!isObject(guide)) {
+            error('(root)', `Expected a guide object, found ${describe(guide)}`);
+            return { valid: false, errors, warnings };
+        }
+        
+        // Shape
+        const modules = entriesWhere(listAt(guide, 'modules', 'modules', error, true), 'modules', error,
+            module => isObject(module) && typeof module.number === 'number' && typeof module.name === 'string',
+            'a module with a number and a name');
+        const sections = entriesWhere(listAt(guide, 'sections', 'sections', error, true), 'sections', error,
+            isObject, 'a section object');
+        const phases = entriesWhere(listAt(guide, 'phases', 'phases', error, true), 'phases', error,
+            isObject, 'a phase object');
+        ['modules', 'sections', 'phases'].forEach(key => {
+            if (Array.isArray(guide[key]) && guide[key].length === 0) error(key, 'List is empty');
+        });
+        const hasLabel = entry => isObject(entry) && typeof entry.label === 'string';
+        const dimensions = entriesWhere(listAt(guide, 'dimensions', 'dimensions', error), 'dimensions', error,
+            hasLabel, 'an entry with a label');
+        const finalSpecifications = entriesWhere(listAt(guide, 'finalSpecifications', 'finalSpecifications', error),
+            'finalSpecifications', error, hasLabel, 'an entry with a label');
+        let components = null;
+        if (isObject(guide.components)) {
+            components = {
+                total: guide.components.total,
+                items: entriesWhere(listAt(guide.components, 'items', 'components.items', error, true), 'components.items', error,
+                    isObject, 'a component object')
+            };
+        } else if (guide.components !== undefined) {
+            error('components', `Expected an object, found ${describe(guide.components)}`);
+        }
+        
+        const moduleNumbers = new Set();
+        modules.forEach(module => {
+            if (moduleNumbers.has(module.number)) {
+                error(`modules[${guide.modules.indexOf(module)}]`, `Module ${module.number} is defined more than once`);
+            }
+            moduleNumbers.add(module.number);
+        });
+        
+        // Module names should be unique, or two sections read as the same part
+        const names = {};
+        modules.forEach(module => {
+            if (names[module.name] !== undefined) {
+                warn(`modules`, `Modules ${names[module.name]} and ${module.number} share the name "${module.name}"`);
+            } else {
+                names[module.name] = module.number;
+            }
+        });
+        
+        // Component overview
+        if (components) {
+            if (components.total !== components.items.length) {
+                error('components.total', `Overview says ${components.total} modules but lists ${components.items.length}`);
+            }
+            if (components.items.length !== modules.length) {
+                error('components.items', `Overview lists ${components.items.length} modules but the guide defines ${modules.length}`);
+            }
+            components.items.forEach(item => {
+                const index = guide.components.items.indexOf(item);
+                const module = modules.find(m => m.number === item.module);
+                if (!module) {
+                    error(`components.items[${index}]`, `Overview lists Module ${item.module}, which is not defined`);
+                } else if (module.name !== item.name) {
+                    error(`components.items[${index}]`, `Overview calls Module ${item.module} "${item.name}" but its section is titled "${module.name}"`);
+                }
+            });
+        }
+        
+        // Every module belongs to exactly one section
+        const placed = new Set();
+        sections.forEach(section => {
+            const sectionIndex = guide.sections.indexOf(section);
+            listAt(section, 'modules', `sections[${sectionIndex}].modules`, error, true).forEach(number => {
+                if (!moduleNumbers.has(number)) {
+                    error(`sections[${sectionIndex}]`, `Section "${section.title}" references undefined Module ${number}`);
+                }
+                if (placed.has(number)) {
+                    error(`sections[${sectionIndex}]`, `Module ${number} appears in more than one section`);
+                }
+                placed.add(number);
+            });
+        });
+        modules.forEach(module => {
+            if (!placed.has(module.number)) {
+                error('sections', `Module ${module.number} is defined but not placed in any section`);
+            }
+        });
+        
+        // Assembly sequence
+        const assembled = new Set();
+        phases.forEach(phase => {
+            const phaseIndex = guide.phases.indexOf(phase);
+            listAt(phase, 'items', `phases[${phaseIndex}].items`, error, true).forEach((item, itemIndex) => {
+                if (typeof item === 'string') return;
+                if (!isObject(item)) {
+                    error(`phases[${phaseIndex}].items[${itemIndex}]`, `Expected a step or a module item, found ${describe(item)}`);
+                    return;
+                }
+                if (!moduleNumbers.has(item.module)) {
+                    error(`phases[${phaseIndex}].items[${itemIndex}]`, `${phase.name} uses undefined Module ${item.module}`);
+                }
+                assembled.add(item.module);
+            });
+        });
+        modules.forEach(module => {
+            if (!assembled.has(module.number)) {
+                warn('phases', `Module ${module.number} (${module.name}) is never used in the assembly sequence`);
+            }
+        });
+        
+        // Module count in the final specifications
+        const modulesSpec = findEntry(finalSpecifications, 'Modules');
+        if (modulesSpec && firstNumber(modulesSpec.value) !== modules.length) {
+            error('finalSpecifications.Modules', `Final specifications say ${modulesSpec.value} modules but the guide defines ${modules.length}`);
+        }
+        
+        // Repeated dimensions must agree
+        const overall = findEntry(finalSpecifications, 'Dimensions');
+        if (overall && Array.isArray(overall.mm)) {
+            OVERALL_AXES.forEach((axis, index) => {
+                const finished = findEntry(dimensions, axis);
+                if (!finished || overall.mm[index] === undefined) return;
+                if (Math.abs(finished.mm - overall.mm[index]) > DIMENSION_TOLERANCE) {
+                    error(`dimensions.${axis}`, `${axis} is ${finished.mm} mm in Finished Dimensions but ${overall.mm[index]} mm in Final Specifications`);
+                }
+            });
+        }
+        const seatHeight = findEntry(dimensions, 'Seat Height');
+        const seatHeightSpec = findEntry(finalSpecifications, 'Seat Height');
+        if (seatHeight && seatHeightSpec && Math.abs(seatHeight.mm - seatHeightSpec.mm) > DIMENSION_TOLERANCE) {
+            error('dimensions.Seat Height', `Seat height is ${seatHeight.mm} mm in Finished Dimensions but ${seatHeightSpec.mm} mm in Final Specifications`);
+        }
+        
+        // Measurements must be tokens so they can be shown in either unit system
+        collectStrings(guide, '', []).forEach(({ path, text }) => {
+            const withoutTokens = text.replace(/\{(?:len|mass):[^}]*\}/g, '');
+            if (LITERAL_UNIT_PATTERN.test(withoutTokens)) {
+                warn(path, `Literal measurement in "${text}"; use a {len:mm} or {mass:kg} token`);
+            }
+        });
+        
+        return { valid: errors.length === 0, errors, warnings };
+    }
+    
+    return { validateGuide };
+}));
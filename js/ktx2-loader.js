@@ -0,0 +1,8 @@
+// three r128 ships KTX2Loader only as an ES module; this exposes it as THREE.KTX2Loader
+// for Scene3D.createModelLoader(). Module scripts run before the window load event
+// that starts Scene3D. If this fails (no import map support, CDN unreachable) the
+// page falls back to the models' WebP texture variants.
+
+import { KTX2Loader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/KTX2Loader.js';
+
+THREE.KTX2Loader = KTX2Loader;
@@ -0,0 +1,161 @@
+// Shader-based highlight styles for the landing page model cloud
+//
+// Every material of a registered model is patched once (onBeforeCompile) to read a
+// few uniforms shared by the whole model:
+//
+//   uDesaturate  0 = full colour, 1 = grayscale
+//   uTint        colour mixed in by uTintAmount (0..1)
+//
+// The 'outline' style adds back-face hull meshes pushed out along their normals.
+// set(model, highlighted) only changes targets; update(delta) eases the uniforms
+// towards them every frame, so transitions are smooth and allocate nothing.
+//
+// Styles are configured per model (catalog `highlight`, see data/catalog.json):
+//   { style: 'desaturate' | 'tint' | 'outline', color: '#ffcc00', amount: 0.35 }
+
+class ModelHighlight {
+    constructor(options = {}) {
+        this.speed = options.speed || 8; // approach rate per second, ~0.4 s to settle
+        this.entries = [];
+    }
+    
+    add(model, config = {}) {
+        const style = config.style || 'desaturate';
+        const color = new THREE.Color(config.color || '#ffcc00');
+        const entry = {
+            model,
+            style,
+            amount: config.amount !== undefined ? config.amount : 0.35,
+            uniforms: {
+                uDesaturate: { value: 1 },
+                uTint: { value: color },
+                uTintAmount: { value: 0 }
+            },
+            outline: style === 'outline' ? { opacity: 0, hulls: [] } : null,
+            targets: { desaturate: 1, tint: 0, outline: 0 }
+        };
+        
+        model.userData.highlight = entry;
+        this.entries.push(entry);
+        this.attach(model, model);
+        return entry;
+    }
+    
+    // Patches `object` into a registered model's highlight; add() does this for the
+    // model itself, later parts (lazily loaded LOD levels) are attached as they arrive
+    attach(model, object) {
+        const entry = model.userData.highlight;
+        if (!entry) return;
+        const meshes = [];
+        object.traverse((child) => {
+            if (child.isMesh && child.material) meshes.push(child);
+        });
+        meshes.forEach((mesh) => {
+            const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            materials.forEach(material => this.patchMaterial(material, entry.uniforms));
+        });
+        if (entry.outline) {
+            entry.outline.hulls.push(...this.createHulls(meshes, entry.uniforms.uTint.value));
+        }
+    }
+    
+    // Undoes attach() for a part taken out of a model that stays registered
+    detach(model, object) {
+        const entry = model.userData.highlight;
+        if (!entry || !entry.outline) return;
+        const removed = new Set();
+        object.traverse(child => removed.add(child));
+        entry.outline.hulls = entry.outline.hulls.filter((hull) => {
+            if (!removed.has(hull)) return true;
+            hull.material.dispose();
+            return false;
+        });
+    }
+    
+    // Forget a model leaving the scene. Outline hulls are children of its meshes,
+    // so disposing the model's materials covers them too.
+    remove(model) {
+        const entry = model.userData.highlight;
+        if (!entry) return;
+        this.entries.splice(this.entries.indexOf(entry), 1);
+        delete model.userData.highlight;
+    }
+    
+    patchMaterial(material, uniforms) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            shader.fragmentShader = [
+                'uniform float uDesaturate;',
+                'uniform vec3 uTint;',
+                'uniform float uTintAmount;',
+                shader.fragmentShader.replace('#include <dithering_fragment>', [
+                    'float highlightLuma = dot( gl_FragColor.rgb, vec3( 0.299, 0.587, 0.114 ) );',
+                    'gl_FragColor.rgb = mix( gl_FragColor.rgb, vec3( highlightLuma ), uDesaturate );',
+                    'gl_FragColor.rgb = mix( gl_FragColor.rgb, uTint, uTintAmount );',
+                    '#include <dithering_fragment>'
+                ].join('\n'))
+            ].join('\n');
+        };
+        // Patched materials must not share compiled programs with plain ones
+        material.customProgramCacheKey = () => 'model-highlight';
+        material.needsUpdate = true;
+    }
+    
+    createHulls(meshes, color) {
+        return meshes.map((mesh) => {
+            if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+            // Hull thickness relative to each mesh, so it reads the same at any model scale
+            const width = mesh.geometry.boundingSphere.radius * 0.02;
+            const material = new THREE.MeshBasicMaterial({
+                color,
+                side: THREE.BackSide,
+                transparent: true,
+                opacity: 0,
+                depthWrite: false
+            });
+            material.onBeforeCompile = (shader) => {
+                shader.vertexShader = shader.vertexShader.replace(
+                    '#include <begin_vertex>',
+                    `#include <begin_vertex>\ntransformed += normalize( normal ) * ${width.toFixed(6)};`
+                );
+            };
+            material.customProgramCacheKey = () => `model-highlight-outline-${width.toFixed(6)}`;
+            
+            const hull = new THREE.Mesh(mesh.geometry, material);
+            hull.raycast = () => {}; // never the hover or click target
+            hull.visible = false;
+            mesh.add(hull);
+            return hull;
+        });
+    }
+    
+    set(model, highlighted, immediate = false) {
+        const entry = model.userData.highlight;
+        if (!entry) return;
+        entry.targets.desaturate = highlighted ? 0 : 1;
+        entry.targets.tint = highlighted && entry.style === 'tint' ? entry.amount : 0;
+        entry.targets.outline = highlighted && entry.style === 'outline' ? 1 : 0;
+        if (immediate) this.step(entry, 1);
+    }
+    
+    update(delta) {
+        const t = 1 - Math.exp(-this.speed * delta);
+        for (let i = 0; i < this.entries.length; i++) {
+            this.step(this.entries[i], t);
+        }
+    }
+    
+    step(entry, t) {
+        const { uniforms, targets, outline } = entry;
+        uniforms.uDesaturate.value += (targets.desaturate - uniforms.uDesaturate.value) * t;
+        uniforms.uTintAmount.value += (targets.tint - uniforms.uTintAmount.value) * t;
+        if (outline) {
+            outline.opacity += (targets.outline - outline.opacity) * t;
+            if (outline.opacity < 0.01) outline.opacity = 0;
+            for (let i = 0; i < outline.hulls.length; i++) {
+                outline.hulls[i].material.opacity = outline.opacity;
+                outline.hulls[i].visible = outline.opacity > 0;
+            }
+        }
+    }
+}
@@ -0,0 +1,153 @@
+// Sheet nesting for cut lists
+//
+// nestParts(parts, sheet) packs every piece of a guide's cut list (quantities
+// expanded) onto as few sheets as it can and reports the layout:
+//
+//   { sheet, count, waste, sheets: [{ placements: [{ part, x, y, width, height, rotated }] }],
+//     oversized: [part] }
+//
+// Corrugated board is much stiffer along its flutes, so orientation matters.
+// `sheet.flute` says which sheet edge the flutes run along ('height' by default)
+// and `part.grain` which edge of the part they must run along: 'height' (default),
+// 'width', or 'any' for pieces that can be turned either way.
+//
+// Packing is a guillotine first-fit-decreasing heuristic on the part bounding
+// boxes: good, not optimal. Waste is measured against the real part outlines.
+//
+// Runs in the browser (global `Nesting`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nesting = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const SPACING = 5; // mm left between pieces for the blade
+    
+    // Bounding boxes a part may be cut at on this sheet, respecting flute direction
+    function orientations(part, sheet) {
+        const upright = { width: part.width, height: part.height, rotated: false };
+        const turned = { width: part.height, height: part.width, rotated: true };
+        const grain = part.grain || 'height';
+        if (grain === 'any') return part.width === part.height ? [upright] : [upright, turned];
+        return grain === (sheet.flute || 'height') ? [upright] : [turned];
+    }
+    
+    function fitsSheet(part, sheet) {
+        return orientations(part, sheet).some(box => box.width <= sheet.width && box.height <= sheet.height);
+    }
+    
+    // Shoelace area of the part outline (normalized 0..1, see js/cut-patterns.js)
+    function partArea(part) {
+        if (!part.outline) return part.width * part.height;
+        let sum = 0;
+        part.outline.forEach(([x1, y1], index) => {
+            const [x2, y2] = part.outline[(index + 1) % part.outline.length];
+            sum += x1 * y2 - x2 * y1;
+        });
+        return Math.abs(sum / 2) * part.width * part.height;
+    }
+    
+    // Best short side fit over the sheet's free rectangles
+    function findSpot(sheetState, boxes) {
+        let best = null;
+        sheetState.free.forEach((rect, index) => {
+            boxes.forEach(box => {
+                if (box.width > rect.width || box.height > rect.height) return;
+                const score = Math.min(rect.width - box.width, rect.height - box.height);
+                if (!best || score < best.score) best = { index, box, score };
+            });
+        });
+        return best;
+    }
+    
+    // Cut the used corner out of a free rectangle, splitting along the shorter leftover
+    function place(sheetState, spot, part, spacing) {
+        const rect = sheetState.free[spot.index];
+        const { box } = spot;
+        const usedWidth = box.width + spacing;
+        const usedHeight = box.height + spacing;
+        const right = rect.width - usedWidth;
+        const below = rect.height - usedHeight;
+        
+        sheetState.free.splice(spot.index, 1);
+        if (right < below) {
+            sheetState.free.push({ x: rect.x + usedWidth, y: rect.y, width: right, height: usedHeight });
+            sheetState.free.push({ x: rect.x, y: rect.y + usedHeight, width: rect.width, height: below });
+        } else {
+            sheetState.free.push({ x: rect.x + usedWidth, y: rect.y, width: right, height: rect.height });
+            sheetState.free.push({ x: rect.x, y: rect.y + usedHeight, width: usedWidth, height: below });
+        }
+        sheetState.free = sheetState.free.filter(free => free.width > 0 && free.height > 0);
+        sheetState.placements.push({ part, x: rect.x, y: rect.y, width: box.width, height: box.height, rotated: box.rotated });
+    }
+    
+    function nestParts(parts, sheet, options = {}) {
+        const spacing = options.spacing !== undefined ? options.spacing : SPACING;
+        const pieces = [];
+        const oversized = [];
+        
+        parts.forEach(part => {
+            if (!fitsSheet(part, sheet)) {
+                oversized.push(part);
+                return;
+            }
+            for (let copy = 0; copy < (part.quantity || 1); copy++) pieces.push(part);
+        });
+        
+        // Largest pieces first, they are the hardest to fit
+        pieces.sort((a, b) => Math.max(b.width, b.height) - Math.max(a.width, a.height) ||
+            b.width * b.height - a.width * a.height);
+        
+        const sheets = [];
+        pieces.forEach(part => {
+            const boxes = orientations(part, sheet).filter(box => box.width <= sheet.width && box.height <= sheet.height);
+            for (const sheetState of sheets) {
+                const spot = findSpot(sheetState, boxes);
+                if (spot) {
+                    place(sheetState, spot, part, spacing);
+                    return;
+                }
+            }
+            // The sheet is larger than the piece, so spacing may run off its far edges
+            const sheetState = {
+                free: [{ x: 0, y: 0, width: sheet.width + spacing, height: sheet.height + spacing }],
+                placements: []
+            };
+            sheets.push(sheetState);
+            place(sheetState, findSpot(sheetState, boxes), part, spacing);
+        });
+        
+        const usedArea = pieces.reduce((sum, part) => sum + partArea(part), 0);
+        const sheetArea = sheets.length * sheet.width * sheet.height;
+        return {
+            sheet,
+            count: sheets.length,
+            waste: sheetArea ? 1 - usedArea / sheetArea : 0,
+            sheets: sheets.map(sheetState => ({ placements: sheetState.placements })),
+            oversized
+        };
+    }
+    
+    // Part outline in sheet millimetres for a placement, following any rotation
+    function placementOutline(placement) {
+        const { part, x, y, rotated } = placement;
+        const outline = part.outline || [[0, 0], [1, 0], [1, 1], [0, 1]];
+        return outline.map(([u, v]) => {
+            const px = u * part.width;
+            const py = v * part.height;
+            // A quarter turn clockwise puts the part's left edge along the top
+            return rotated ? [x + part.height - py, y + px] : [x + px, y + py];
+        });
+    }
+    
+    return {
+        SPACING,
+        orientations,
+        fitsSheet,
+        partArea,
+        nestParts,
+        placementOutline
+    };
+}));
@@ -0,0 +1,258 @@
+// Offscreen still and turntable export for a Three.js view
+//
+// Renders an existing renderer/scene/camera into a render target of any size, so
+// the on-screen canvas and its frame loop are left alone:
+//
+//   const capture = new SceneCapture(renderer, scene, camera);
+//   capture.snapshot({ width: 3840, height: 2160, transparent: true })  -> PNG Blob
+//   capture.turntable({ width: 1920, height: 1080, fps: 30, seconds: 6,
+//                       format: 'webm' | 'png-sequence', target })      -> WebM or ZIP Blob
+//
+// A turntable orbits the camera once around `target` (a Vector3, usually the
+// OrbitControls target) in fps * seconds evenly spaced steps, so the clip loops
+// and its timing never depends on requestAnimationFrame. WebM needs WebCodecs
+// (VideoEncoder) and the webm-muxer script; frame sequences are zipped with
+// js/zip-store.js. The owner pauses its own loop while a capture runs.
+
+class SceneCapture {
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.supersample = 2; // rendered at up to 2x and scaled down, in place of MSAA
+        this.maxPixels = 64e6; // cap on the supersampled frame (~256 MB of RGBA)
+    }
+    
+    static supportsWebM() {
+        return typeof window.VideoEncoder === 'function' && typeof window.WebMMuxer === 'object';
+    }
+    
+    // Longest PNG sequence at this size that stays within MAX_SEQUENCE_PIXELS
+    static maxSequenceFrames(width, height) {
+        return Math.floor(SceneCapture.MAX_SEQUENCE_PIXELS / (width * height));
+    }
+    
+    async snapshot(options = {}) {
+        const frame = this.begin(options);
+        try {
+            return await this.toBlob(this.renderFrame(frame), 'image/png');
+        } finally {
+            this.end(frame);
+        }
+    }
+    
+    // onProgress(done, total) after every frame; options.signal (AbortSignal) cancels
+    async turntable(options = {}) {
+        const fps = options.fps || 30;
+        const total = Math.max(1, Math.round(fps * (options.seconds || 6)));
+        const format = options.format || 'webm';
+        if (format === 'webm' && !SceneCapture.supportsWebM()) {
+            throw new Error('WebM export needs a browser with WebCodecs; export a PNG sequence instead');
+        }
+        if (format === 'png-sequence') {
+            const width = options.width || 1920;
+            const height = options.height || 1080;
+            const maxFrames = SceneCapture.maxSequenceFrames(width, height);
+            if (total > maxFrames) {
+                throw new Error(`A ${width} x ${height} PNG sequence can have at most ${maxFrames} frames (this one has ${total})`);
+            }
+        }
+        
+        const frame = this.begin(options);
+        const target = options.target ? options.target.clone() : new THREE.Vector3();
+        const offset = this.camera.position.clone().sub(target);
+        const axis = new THREE.Vector3(0, 1, 0);
+        let writer = null;
+        try {
+            writer = format === 'webm' ? await this.createWebMWriter(frame, fps) : this.createSequenceWriter();
+            for (let i = 0; i < total; i++) {
+                if (options.signal && options.signal.aborted) {
+                    throw new DOMException('Export cancelled', 'AbortError');
+                }
+                const angle = (i / total) * Math.PI * 2;
+                this.camera.position.copy(target).add(offset.clone().applyAxisAngle(axis, angle));
+                this.camera.lookAt(target);
+                await writer.add(this.renderFrame(frame), i, fps);
+                if (options.onProgress) options.onProgress(i + 1, total);
+                await new Promise(resolve => setTimeout(resolve, 0)); // let the page repaint progress
+            }
+            return await writer.finish();
+        } finally {
+            if (writer) writer.close();
+            this.end(frame);
+        }
+    }
+    
+    // Sizes the render target and swaps in capture settings; end() puts them back
+    begin(options) {
+        const width = Math.max(2, Math.round((options.width || 1920) / 2) * 2); // even, for video encoders
+        const height = Math.max(2, Math.round((options.height || 1080) / 2) * 2);
+        const maxSize = this.renderer.capabilities.maxTextureSize;
+        let scale = this.supersample;
+        while (scale > 1 && (width * scale > maxSize || height * scale > maxSize || width * height * scale * scale > this.maxPixels)) {
+            scale--;
+        }
+        if (width * scale > maxSize || height * scale > maxSize) {
+            throw new Error(`${width} x ${height} is larger than this GPU can render (${maxSize} px)`);
+        }
+        
+        const renderTarget = new THREE.WebGLRenderTarget(width * scale, height * scale);
+        renderTarget.texture.encoding = this.renderer.outputEncoding; // match the on-screen colours
+        const source = document.createElement('canvas');
+        source.width = width * scale;
+        source.height = height * scale;
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        
+        const pixels = new Uint8Array(source.width * source.height * 4);
+        const frame = {
+            width,
+            height,
+            scale,
+            transparent: !!options.transparent,
+            renderTarget,
+            source,
+            output,
+            pixels,
+            image: new ImageData(new Uint8ClampedArray(pixels.buffer), source.width, source.height), // shares pixels
+            saved: {
+                aspect: this.camera.aspect,
+                position: this.camera.position.clone(),
+                quaternion: this.camera.quaternion.clone(),
+                background: this.scene.background,
+                clearColor: this.renderer.getClearColor(new THREE.Color()),
+                clearAlpha: this.renderer.getClearAlpha(),
+                renderTarget: this.renderer.getRenderTarget()
+            }
+        };
+        
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        if (frame.transparent) {
+            this.scene.background = null;
+            this.renderer.setClearColor(0x000000, 0);
+        }
+        return frame;
+    }
+    
+    end(frame) {
+        const saved = frame.saved;
+        this.camera.aspect = saved.aspect;
+        this.camera.position.copy(saved.position);
+        this.camera.quaternion.copy(saved.quaternion);
+        this.camera.updateProjectionMatrix();
+        this.scene.background = saved.background;
+        this.renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+        this.renderer.setRenderTarget(saved.renderTarget);
+        frame.renderTarget.dispose();
+    }
+    
+    // Renders one frame and returns the output canvas holding it
+    renderFrame(frame) {
+        const { renderTarget, source, output } = frame;
+        this.renderer.setRenderTarget(renderTarget);
+        this.renderer.clear();
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.readRenderTargetPixels(renderTarget, 0, 0, source.width, source.height, frame.pixels);
+        this.renderer.setRenderTarget(frame.saved.renderTarget);
+        source.getContext('2d').putImageData(frame.image, 0, 0);
+        
+        // WebGL rows run bottom to top, so flip while scaling down
+        const context = output.getContext('2d');
+        context.setTransform(1, 0, 0, -1, 0, output.height);
+        context.clearRect(0, 0, output.width, output.height);
+        context.imageSmoothingEnabled = true;
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(source, 0, 0, output.width, output.height);
+        return output;
+    }
+    
+    toBlob(canvas, type) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`))), type);
+        });
+    }
+    
+    // Every frame's PNG is held until finish() zips them, hence the cap in turntable()
+    createSequenceWriter() {
+        const files = [];
+        return {
+            add: async (canvas, index) => {
+                const blob = await this.toBlob(canvas, 'image/png');
+                files.push({
+                    name: `frame-${String(index + 1).padStart(4, '0')}.png`,
+                    data: new Uint8Array(await blob.arrayBuffer())
+                });
+            },
+            finish: async () => new Blob([ZipStore.create(files)], { type: 'application/zip' }),
+            close: () => {}
+        };
+    }
+    
+    // VP9 through WebCodecs, with explicit timestamps at the chosen frame rate
+    async createWebMWriter(frame, fps) {
+        const config = {
+            codec: 'vp09.00.10.08',
+            width: frame.width,
+            height: frame.height,
+            bitrate: Math.round(frame.width * frame.height * fps * 0.15), // bits per second
+            framerate: fps,
+            alpha: frame.transparent ? 'keep' : 'discard'
+        };
+        let support = await VideoEncoder.isConfigSupported(config);
+        if (!support.supported && frame.transparent) {
+            console.warn('This browser cannot encode WebM with transparency; exporting an opaque clip');
+            config.alpha = 'discard';
+            support = await VideoEncoder.isConfigSupported(config);
+        }
+        if (!support.supported) {
+            throw new Error(`This browser cannot encode ${frame.width} x ${frame.height} WebM video`);
+        }
+        
+        const muxer = new WebMMuxer.Muxer({
+            target: new WebMMuxer.ArrayBufferTarget(),
+            video: { codec: 'V_VP9', width: frame.width, height: frame.height, frameRate: fps, alpha: config.alpha === 'keep' },
+            firstTimestampBehavior: 'offset'
+        });
+        let failure = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: (error) => {
+                failure = error;
+            }
+        });
+        encoder.configure(config);
+        
+        const frameDuration = 1e6 / fps; // microseconds
+        return {
+            add: async (canvas, index) => {
+                if (failure) throw failure;
+                const videoFrame = new VideoFrame(canvas, {
+                    timestamp: Math.round(index * frameDuration),
+                    duration: Math.round(frameDuration),
+                    alpha: config.alpha
+                });
+                encoder.encode(videoFrame, { keyFrame: index % (fps * 2) === 0 });
+                videoFrame.close();
+                // Keep the encoder queue short so frames are not all held in memory
+                while (encoder.encodeQueueSize > 4) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                }
+            },
+            finish: async () => {
+                await encoder.flush();
+                if (failure) throw failure;
+                muxer.finalize();
+                return new Blob([muxer.target.buffer], { type: 'video/webm' });
+            },
+            close: () => {
+                if (encoder.state !== 'closed') encoder.close();
+            }
+        };
+    }
+}
+
+// Output pixels (frames x width x height) a PNG sequence may hold in memory,
+// 1080p for about 6 s at 30 fps
+SceneCapture.MAX_SEQUENCE_PIXELS = 400e6;
@@ -0,0 +1,73 @@
+// Saved wizard sessions for the "My designs" panel
+//
+// A thin promise wrapper around one IndexedDB object store. IndexedDB rather than
+// localStorage because records keep uploaded source images as Blobs. A record:
+//
+//   { id, createdAt, updatedAt, step, query,
+//     sourceImage: { name, id, src, uploadId, blob }, prompt,
+//     candidates: { prompt, images }, finalDesign: { candidateId, image, model, guideId } }
+//
+// Catalog source images are stored by id and src; uploads by their Blob.
+// `query` is the URL search string of the session (see Scene3D.stateUrl()).
+
+class SessionStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'redo';
+        this.storeName = 'sessions';
+        this.db = null;
+    }
+    
+    open() {
+        if (this.db) return this.db;
+        this.db = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Session database is blocked by another tab'));
+        });
+        return this.db;
+    }
+    
+    // Runs `action(store)` in a transaction and resolves with its request's result
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    createId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+    
+    save(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+    
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+    
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+    
+    // Newest first
+    async list() {
+        const records = await this.run('readonly', store => store.index('updatedAt').getAll());
+        return records.reverse();
+    }
+}
@@ -0,0 +1,29 @@
+// ES module face of the global THREE build (three.min.js r128)
+//
+// The import map in index.html points the bare 'three' specifier here, so the
+// examples/jsm modules the page needs share the one THREE instance instead of
+// pulling in a second copy. Exports only what those modules import.
+
+const THREE = window.THREE;
+
+export const {
+    CompressedTexture,
+    CompressedTextureLoader,
+    FileLoader,
+    LinearEncoding,
+    LinearFilter,
+    LinearMipmapLinearFilter,
+    Loader,
+    RGBAFormat,
+    RGBA_ASTC_4x4_Format,
+    RGBA_BPTC_Format,
+    RGBA_ETC2_EAC_Format,
+    RGBA_PVRTC_4BPPV1_Format,
+    RGBA_S3TC_DXT5_Format,
+    RGB_ETC1_Format,
+    RGB_ETC2_Format,
+    RGB_PVRTC_4BPPV1_Format,
+    RGB_S3TC_DXT1_Format,
+    UnsignedByteType,
+    sRGBEncoding
+} = THREE;
@@ -0,0 +1,75 @@
+// Measurement formatting for build guides
+//
+// Guides store lengths in millimetres and masses in kilograms, written inline as
+// tokens: "Cut a {len:584} x {len:483} rectangle", "Max Capacity: {mass:81.6}".
+// formatText() swaps each token for the value in the chosen system:
+//
+//   Units.formatText('{len:483}', 'imperial') -> '19"'
+//   Units.formatText('{len:483}', 'metric')   -> '483 mm'
+//
+// Runs in the browser (global `Units`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Units = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const MM_PER_INCH = 25.4;
+    const KG_PER_LB = 0.45359237;
+    const INCH_STEP = 8; // imperial lengths round to the nearest 1/8"
+    const TOKEN_PATTERN = /\{(len|mass):(-?\d+(?:\.\d+)?)\}/g;
+    const SYSTEMS = ['imperial', 'metric'];
+    
+    function gcd(a, b) {
+        return b === 0 ? a : gcd(b, a % b);
+    }
+    
+    function formatInches(inches) {
+        const eighths = Math.round(inches * INCH_STEP);
+        const whole = Math.floor(eighths / INCH_STEP);
+        const remainder = eighths % INCH_STEP;
+        if (remainder === 0) return `${whole}"`;
+        
+        const divisor = gcd(remainder, INCH_STEP);
+        const fraction = `${remainder / divisor}/${INCH_STEP / divisor}`;
+        return whole > 0 ? `${whole} ${fraction}"` : `${fraction}"`;
+    }
+    
+    function formatLength(mm, system) {
+        if (system === 'metric') {
+            return `${Math.round(mm)} mm`;
+        }
+        return formatInches(mm / MM_PER_INCH);
+    }
+    
+    function formatMass(kg, system) {
+        if (system === 'metric') {
+            return `${kg.toFixed(1)} kg`;
+        }
+        return `${Math.round(kg / KG_PER_LB)} lbs`;
+    }
+    
+    // options.pad keeps fixed-width layouts (ASCII diagrams) aligned by padding each
+    // value to the width of the token it replaces.
+    function formatText(text, system, options = {}) {
+        const formatted = String(text).replace(TOKEN_PATTERN, (token, kind, value) => {
+            const number = parseFloat(value);
+            const label = kind === 'len' ? formatLength(number, system) : formatMass(number, system);
+            return options.pad ? label.padEnd(token.length) : label;
+        });
+        if (!options.pad) return formatted;
+        return formatted.split('\n').map(line => line.trimEnd()).join('\n');
+    }
+    
+    return {
+        MM_PER_INCH,
+        KG_PER_LB,
+        SYSTEMS,
+        TOKEN_PATTERN,
+        formatLength,
+        formatMass,
+        formatText
+    };
+}));
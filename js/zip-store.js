@@ -0,0 +1,128 @@
+// Minimal ZIP writer for exported frame sequences
+//
+// Files are stored uncompressed ("store" method): PNG frames are already
+// compressed, so deflating them again costs time and saves almost nothing.
+//
+//   ZipStore.create([{ name: 'frame-0001.png', data: Uint8Array }, ...]) -> Uint8Array
+//
+// Names are written as UTF-8. No ZIP64, so the archive must stay under 4 GB.
+// Runs in the browser (global `ZipStore`) and in Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ZipStore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const LOCAL_HEADER = 0x04034b50;
+    const CENTRAL_HEADER = 0x02014b50;
+    const END_OF_CENTRAL = 0x06054b50;
+    const UTF8_FLAG = 0x0800;
+    const MAX_SIZE = 0xffffffff;
+    
+    let crcTable = null;
+    
+    function crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+    
+    // MS-DOS date and time, local time, two-second resolution
+    function dosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+    
+    function create(files, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const stamp = dosDateTime(modified);
+        const entries = files.map((file) => {
+            const data = file.data instanceof Uint8Array ? file.data : new Uint8Array(file.data);
+            return { name: encoder.encode(file.name), data, crc: crc32(data) };
+        });
+        
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        if (localSize + centralSize + 22 > MAX_SIZE || entries.length > 0xffff) {
+            throw new Error('Too much data for a ZIP file without ZIP64');
+        }
+        
+        const output = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(output.buffer);
+        let offset = 0;
+        
+        // Fields shared by the local and central headers, from "version needed" on
+        const writeCommon = (entry) => {
+            view.setUint16(offset, 10, true); // version needed: 1.0, stored
+            view.setUint16(offset + 2, UTF8_FLAG, true);
+            view.setUint16(offset + 4, 0, true); // method: store
+            view.setUint16(offset + 6, stamp.time, true);
+            view.setUint16(offset + 8, stamp.date, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true); // compressed size
+            view.setUint32(offset + 18, entry.data.length, true); // uncompressed size
+            view.setUint16(offset + 22, entry.name.length, true);
+            view.setUint16(offset + 24, 0, true); // extra field length
+            offset += 26;
+        };
+        
+        entries.forEach((entry) => {
+            entry.offset = offset;
+            view.setUint32(offset, LOCAL_HEADER, true);
+            offset += 4;
+            writeCommon(entry);
+            output.set(entry.name, offset);
+            offset += entry.name.length;
+            output.set(entry.data, offset);
+            offset += entry.data.length;
+        });
+        
+        const centralOffset = offset;
+        entries.forEach((entry) => {
+            view.setUint32(offset, CENTRAL_HEADER, true);
+            view.setUint16(offset + 4, 20, true); // version made by: 2.0
+            offset += 6;
+            writeCommon(entry);
+            view.setUint16(offset, 0, true); // comment length
+            view.setUint16(offset + 2, 0, true); // disk number
+            view.setUint16(offset + 4, 0, true); // internal attributes
+            view.setUint32(offset + 6, 0, true); // external attributes
+            view.setUint32(offset + 10, entry.offset, true);
+            offset += 14;
+            output.set(entry.name, offset);
+            offset += entry.name.length;
+        });
+        
+        view.setUint32(offset, END_OF_CENTRAL, true);
+        view.setUint16(offset + 4, 0, true); // this disk
+        view.setUint16(offset + 6, 0, true); // disk with the central directory
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        view.setUint16(offset + 20, 0, true); // comment length
+        return output;
+    }
+    
+    return {
+        crc32,
+        create
+    };
+}));
@@ -1,9 +1,20 @@
 class Scene3D {
-    constructor() {
+    constructor(catalog) {
+        this.catalog = catalog; // content from data/catalog.json, see Scene3D.loadCatalog()
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
+        this.cameraRig = null; // presets and flights, see js/camera-rig.js
+        this.tour = null; // { stopped, timer } while the guided tour runs
+        this.sceneCapture = null; // still and turntable export, see js/scene-capture.js
+        this.capturing = false; // model cloud export in progress, render loop paused
+        this.exportSource = 'cloud'; // what the export panel exports: 'cloud' or 'preview'
+        this.exportJob = null; // { source, abort } while an export from the export panel runs
+        this.exportReturnFocus = null;
+        this.arModel = null; // { url, model } GLB of the Step 4 design, for the AR hand-off and USDZ
+        this.arReturnFocus = null;
+        this.focusFlightId = 0; // latest model click, so superseded flights do not open a design
         this.raycaster = null;
         this.mouse = null;
         this.models = [];
@@ -16,10 +27,27 @@ class Scene3D {
         this.pointer = new THREE.Vector2(0, 0); // normalized device coords
         this.parallaxStrength = 0.15; // Subtle parallax like BAM Works
         this.pointerActive = false;
+        this.pointerClient = { x: 0, y: 0 }; // last pointer position in px, for the hover tooltip
         this.hoveredModel = null;
         this.intersectTargets = [];
         this.hoverScale = 0.8; // Hover zoom out by 20%
-        this.defaultColorModel = null; // Keep 2.glb colored unless hovering another model
+        this.pointerMoved = false; // hover raycasts run on pointer movement, plus a slow refresh
+        this.lastHoverCheck = 0;
+        
+        // Render loop: paused while covered or backgrounded, quality adapts to frame time
+        this.frameId = null;
+        this.lastFrameTime = 0;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.quality = {
+            maxPixelRatio: Math.min(window.devicePixelRatio || 1, 2),
+            minPixelRatio: 0.75,
+            pixelRatio: Math.min(window.devicePixelRatio || 1, 2),
+            shadows: true,
+            frameTime: 16.7, // smoothed ms per frame
+            lastChange: 0
+        };
+        this.defaultColorModel = null; // first featured model, kept coloured unless hovering another
+        this.highlight = new ModelHighlight(); // grayscale/colour hover states, see js/model-highlight.js
         
         // Slider smoothing state
         this.currentSliderValue = 1; // smoothed value
@@ -28,7 +56,57 @@ class Scene3D {
         this.isUserSliding = false; // true while user holds the slider
         this.imageSelected = false; // track if image is selected (required for dragging)
         this.currentStep = 1; // current active step (1-4)
-        this.selectedDesignOption = null; // track which design option was selected in Step 2 (1, 2, or 3)
+        this.stepTitles = { 1: 'Select Image', 2: 'Design Prompt', 3: 'Choose Design', 4: 'Get it ready' };
+        this.sliderReturnFocus = null; // element focused before the step slider opened
+        this.selectedDesignOption = null; // suggestion chip (1, 2, or 3) the prompt started from, if any
+        this.historyPaused = false; // true while a change is applied as a whole, see updateHistory()
+        this.dragStartUrl = null; // URL when the current slider drag began, see beginDragHistory()
+        
+        // Wizard session: what the user picked and what was generated from it
+        this.session = {
+            sourceImage: null, // { src, name, id } selected in Step 1; uploads have no catalog id
+            prompt: '', // last submitted Step 2 prompt
+            candidates: null, // { prompt, images } last generated Step 3 candidates
+            finalDesign: null, // { candidateId, image, guideId } finalized in Step 3
+            id: null, // saved session id, see saveSession()
+            createdAt: null
+        };
+        
+        // Saved sessions for "My designs" (js/session-store.js)
+        this.sessionStore = new SessionStore();
+        this.sessionSaveTimer = null;
+        this.uploadedImages = {}; // uploadId -> Blob of images uploaded in Step 1
+        this.designListUrls = []; // object URLs of the panel thumbnails
+        
+        // Image upload limits (Step 1)
+        this.acceptedImageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+        this.maxUploadBytes = 15 * 1024 * 1024; // 15 MB before downscaling
+        this.maxImageDimension = 2048; // longest edge in px after downscaling
+        this.uploadCount = 0;
+        
+        // Assets that failed to load, listed in the developer overlay: path -> detail
+        this.missingAssets = new Map();
+        
+        // Phones and tablets skip the full-detail model level (see modelLevels())
+        this.isLowPowerDevice = window.matchMedia('(max-width: 768px), (pointer: coarse)').matches;
+        
+        // Design generation (Step 2 -> Step 3)
+        this.designProvider = new MockDesignProvider({
+            imageSets: this.catalog.designs.map(design => ({
+                prompt: design.prompt,
+                images: design.candidates.map(candidate => candidate.image)
+            }))
+        }); // swap for a real backend, see js/design-provider.js
+        
+        // Step 4 build guides, fetched on demand and cached by guide id
+        this.guideRenderer = new GuideRenderer(document.getElementById('step-4-guide'));
+        this.guideCache = {};
+        this.units = this.loadPreference('redo.units', 'imperial'); // 'imperial' or 'metric'
+        this.guideSize = { target: 'original', mm: null }; // parametric resize of the Step 4 guide
+        this.previewMode = 'model'; // Step 4 viewer: 'model' (GLB) or 'assembly' (exploded modules)
+        this.assembly = null;
+        this.sheetSize = this.parseSheetSize(this.loadPreference('redo.sheet', '')); // { width, height } mm, or null for the guide's own
+        this.generationId = 0; // incremented per request so stale results are dropped
         
         // Boundary positions for canvas transitions (in vw)
         // Each boundary represents the position between two steps
@@ -40,20 +118,89 @@ class Scene3D {
             '3-4': 75   // Step 3: 25vw, Step 4: 25vw
         };
         
-        this.modelFiles = [
-            'Assets/1.glb',
-            'Assets/2.glb',
-            'Assets/3.glb',
-            'Assets/4.glb',
-            'Assets/5.glb'
-        ];
-
-        this.modelAdjustments = {
-            0: { scale: 0.85 } // Tweak 1.glb to match others
-        };
+        this.modelFiles = this.catalog.models.map(entry => entry.file);
+        this.modelDesigns = this.catalog.models.map(entry => entry.design || null); // catalog design id per model
+        
+        // Cloud arrangement from the catalog `layout`, see js/cloud-layout.js
+        this.cloudLayout = Object.assign({ rotation: -30 }, this.catalog.layout);
         
+        this.renderCatalog();
         this.init();
         this.setupEventListeners();
+        this.setupHistory();
+        this.checkAssets();
+    }
+    
+    static async loadCatalog(url = 'data/catalog.json', lodsUrl = 'data/model-lods.json') {
+        const emptyCatalog = { sourceImages: [], designs: [], guides: [], models: [], layout: {} };
+        let catalog;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            catalog = Object.assign(emptyCatalog, await response.json());
+        } catch (error) {
+            console.error(`Error loading catalog ${url}:`, error);
+            return emptyCatalog;
+        }
+        
+        // Compressed LOD variants from tools/build-model-lods.js, when they have been built
+        try {
+            const response = await fetch(lodsUrl);
+            if (response.ok) {
+                const lods = await response.json();
+                catalog.models.forEach(entry => {
+                    if (lods[entry.file] && !entry.lods) entry.lods = lods[entry.file];
+                });
+            }
+        } catch (error) {
+            console.warn(`No model LODs loaded from ${lodsUrl}:`, error);
+        }
+        return catalog;
+    }
+    
+    renderCatalog() {
+        // Source image thumbnails (Step 1)
+        const bottomImages = document.querySelector('.bottom-images');
+        if (bottomImages) {
+            bottomImages.innerHTML = '';
+            this.catalog.sourceImages.forEach((source, index) => {
+                const thumbnail = document.createElement('div');
+                thumbnail.className = 'image-thumbnail';
+                thumbnail.dataset.image = source.name;
+                thumbnail.dataset.sourceId = source.id;
+                this.makeThumbnailOperable(thumbnail);
+                
+                const badge = document.createElement('span');
+                badge.className = 'thumbnail-badge';
+                badge.textContent = String(index + 1);
+                
+                const img = document.createElement('img');
+                img.src = source.src;
+                img.alt = source.alt || source.name;
+                
+                thumbnail.appendChild(badge);
+                thumbnail.appendChild(img);
+                bottomImages.appendChild(thumbnail);
+            });
+        }
+        
+        // Prompt suggestion chips (Step 2)
+        const optionsContainer = document.querySelector('.step-2-options');
+        if (optionsContainer) {
+            optionsContainer.innerHTML = '';
+            this.catalog.designs.forEach((design) => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'step-2-option';
+                option.setAttribute('aria-pressed', 'false');
+                option.dataset.option = design.prompt;
+                option.dataset.designId = design.id;
+                option.textContent = design.prompt;
+                optionsContainer.appendChild(option);
+            });
+        }
     }
     
     init() {
@@ -68,13 +215,11 @@ class Scene3D {
             0.1,
             1000
         );
-        this.camera.position.set(20, 70, 95); // More left and higher for bird-eye corner
-        this.camera.lookAt(0, 0, 0);
         
         // Create renderer
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setPixelRatio(this.quality.pixelRatio);
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
@@ -86,10 +231,11 @@ class Scene3D {
         this.controls.dampingFactor = 0.05;
         this.controls.enableZoom = true;
         this.controls.enablePan = false;
-        this.controls.autoRotate = true; // Enable auto-rotation
+        this.controls.autoRotate = !this.reducedMotion.matches; // Enable auto-rotation
         this.controls.autoRotateSpeed = 0.1; // Very subtle rotation like BAM Works
         this.controls.target.set(0, 0, 0);
         this.controls.update();
+        this.setupCameraPresets();
         
         // Setup raycaster for object selection
         this.raycaster = new THREE.Raycaster();
@@ -98,11 +244,15 @@ class Scene3D {
         // Add lighting
         this.setupLighting();
         
+        // Shared by the model cloud and the Step 4 preview
+        this.modelLoader = this.createModelLoader();
+        this.sceneCapture = new SceneCapture(this.renderer, this.scene, this.camera);
+        
         // Load models
         this.loadModels();
         
         // Start animation loop
-        this.animate();
+        this.updateLoopState();
     }
     
     setupLighting() {
@@ -117,6 +267,7 @@ class Scene3D {
         directionalLight.shadow.mapSize.width = 2048;
         directionalLight.shadow.mapSize.height = 2048;
         this.scene.add(directionalLight);
+        this.shadowLight = directionalLight; // dropped first by adaptQuality()
         
         // Point light for better illumination
         const pointLight = new THREE.PointLight(0xffffff, 0.5);
@@ -124,100 +275,489 @@ class Scene3D {
         this.scene.add(pointLight);
     }
     
-    async loadModels() {
+    createModelLoader() {
         const loader = new THREE.GLTFLoader();
+        
+        // Compressed variants from tools/build-model-lods.js; plain GLBs load either way
+        if (THREE.DRACOLoader) {
+            const dracoLoader = new THREE.DRACOLoader();
+            dracoLoader.setDecoderPath('https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/libs/draco/gltf/');
+            loader.setDRACOLoader(dracoLoader);
+        }
+        if (typeof MeshoptDecoder !== 'undefined') {
+            loader.setMeshoptDecoder(MeshoptDecoder);
+        }
+        
+        // js/ktx2-loader.js exposes the ES module KTX2Loader; without it the WebP variants load
+        this.supportsKTX2 = false;
+        if (THREE.KTX2Loader) {
+            const ktx2Loader = new THREE.KTX2Loader()
+                .setTranscoderPath('https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/libs/basis/')
+                .detectSupport(this.renderer);
+            loader.setKTX2Loader(ktx2Loader);
+            this.supportsKTX2 = true;
+        }
+        return loader;
+    }
+    
+    modelLevels(entry) {
+        // [{ file, distance }] for THREE.LOD, or just the source GLB when no LODs were built
+        let levels = entry.lods && entry.lods.length ? entry.lods : [{ file: entry.file, distance: 0 }];
+        if (this.isLowPowerDevice && levels.length > 1) {
+            levels = levels.slice(1); // less to download, decode and draw
+        }
+        return levels.map((level, index) => ({
+            file: this.supportsKTX2 && level.ktx2 ? level.ktx2 : level.file,
+            distance: index === 0 ? 0 : level.distance
+        }));
+    }
+    
+    async loadCatalogModel(loader, entry, onProgress) {
+        // Only the coarsest level is fetched up front; finer ones wait until the LOD first needs them
+        const levels = this.modelLevels(entry);
+        const coarsest = levels.length - 1;
+        const gltf = await this.loadModel(loader, levels[coarsest].file, onProgress);
+        if (levels.length === 1) return gltf;
+        
+        // Levels share the source's transforms, so the LOD can stand in for gltf.scene.
+        // A finer level shows a copy of the coarsest one until its own file arrives.
+        const lod = new THREE.LOD();
+        levels.forEach((level, i) => {
+            if (i === coarsest) {
+                lod.addLevel(gltf.scene, level.distance);
+                return;
+            }
+            const slot = new THREE.Group();
+            slot.add(gltf.scene.clone());
+            slot.userData.lodFile = level.file;
+            lod.addLevel(slot, level.distance);
+        });
+        lod.update = (camera) => {
+            THREE.LOD.prototype.update.call(lod, camera);
+            const current = lod.levels[lod.getCurrentLevel()].object;
+            if (current.userData.lodFile) this.loadModelLevel(loader, lod, current);
+        };
+        return { scene: lod };
+    }
+    
+    // Swaps a finer LOD level in for its stand-in; if it fails the stand-in stays
+    loadModelLevel(loader, lod, slot) {
+        const file = slot.userData.lodFile;
+        delete slot.userData.lodFile; // requested once, even if it fails
+        this.loadModel(loader, file).then((gltf) => {
+            this.enableShadows(gltf.scene);
+            this.highlight.attach(lod, gltf.scene);
+            slot.children.slice().forEach((child) => {
+                this.highlight.detach(lod, child);
+                slot.remove(child);
+            });
+            slot.add(gltf.scene);
+        }).catch((error) => {
+            console.warn(`Could not load model level ${file}; keeping the coarser one:`, error);
+        });
+    }
+    
+    async loadModels() {
+        const loader = this.modelLoader;
         console.log(`Starting to load ${this.modelFiles.length} models:`, this.modelFiles);
         
-        for (let i = 0; i < this.modelFiles.length; i++) {
-            try {
-                console.log(`[${i}] Loading model: ${this.modelFiles[i]}`);
-                const gltf = await this.loadModel(loader, this.modelFiles[i]);
-                this.models.push(gltf);
-                
-                const model = gltf.scene;
-                model.userData.modelIndex = i;
-                console.log(`[${i}] Model loaded, adding to scene`);
-                this.scene.add(model);
-
-                model.rotation.y += THREE.MathUtils.degToRad(-30);
-                
-                console.log(`[${i}] Position before positioning:`, model.position.toArray());
-                
-                // Position FIRST, then scale
-                this.positionModelCloud(model, i);
-                console.log(`[${i}] Position after cloud positioning:`, model.position.toArray());
-                
-                this.centerAndScaleModel(model);
-                console.log(`[${i}] Position after scaling:`, model.position.toArray());
-                
-                this.enableShadows(model);
-                this.setModelToGrayscale(model);
-                this.intersectTargets.push(model);
-                if (i === 1) {
-                    this.defaultColorModel = model;
-                }
-                
-                this.addFloatingOrbitAnimation(model, i);
-                
-                // Store original position for reset
-                this.originalPositions.push({
-                    x: model.position.x,
-                    y: model.position.y,
-                    z: model.position.z,
-                    scale: model.scale.clone()
-                });
-                
+        // Fetch in parallel; bytes per model feed the loading screen progress bar
+        const progress = this.modelFiles.map(() => ({ loaded: 0, total: 0, done: false }));
+        this.updateLoadingProgress(progress);
+        const results = await Promise.allSettled(this.modelFiles.map((file, i) => (
+            this.loadCatalogModel(loader, this.catalog.models[i], (event) => {
+                progress[i].loaded = event.loaded;
+                progress[i].total = event.lengthComputable ? event.total : 0;
+                this.updateLoadingProgress(progress);
+            }).finally(() => {
+                progress[i].done = true;
+                this.updateLoadingProgress(progress);
+            })
+        )));
+        
+        // Add to the scene in catalog order so cloud positions stay stable
+        const failed = [];
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                this.addModelToCloud(result.value, i);
                 console.log(`[${i}] Successfully loaded and positioned model: ${this.modelFiles[i]}`);
-            } catch (error) {
-                console.error(`[${i}] Error loading model ${this.modelFiles[i]}:`, error);
-                console.log(`[${i}] Skipping model due to loading error`);
+            } else {
+                console.error(`[${i}] Error loading model ${this.modelFiles[i]}:`, result.reason);
+                this.reportMissingAsset(this.modelFiles[i], `landing page model ${i + 1}: ${(result.reason && result.reason.message) || result.reason}`);
+                this.addModelPlaceholder(i);
+                failed.push(this.modelFiles[i]);
             }
-        }
+        });
+        this.layoutModelCloud(false);
         
-        console.log(`Total models in scene: ${this.models.length}`);
+        console.log(`Total models in scene: ${this.models.length - failed.length}`);
         console.log(`Total objects in Three.js scene: ${this.scene.children.length}`);
         
-        // Hide loading screen
-        setTimeout(() => {
-            document.getElementById('loading-screen').classList.add('hidden');
-            this.isLoading = false;
-            console.log(`Loaded ${this.models.length} models successfully`);
-            console.log('Model positions:', this.models.map((m, i) => `Model ${i}: (${m.scene.position.x.toFixed(2)}, ${m.scene.position.y.toFixed(2)}, ${m.scene.position.z.toFixed(2)})`));
+        this.showModelLoadNotice(failed);
+        document.getElementById('loading-screen').classList.add('hidden');
+        this.isLoading = false;
+        console.log(`Loaded ${this.models.length - failed.length} of ${this.modelFiles.length} models`);
+        
+        // Autoplay only on a plain landing page visit, never over a restored design
+        const tour = (this.catalog.camera && this.catalog.camera.tour) || {};
+        if (tour.autoplay && !this.reducedMotion.matches && !this.isStepSliderOpen()) {
+            this.startTour();
+        }
+    }
+    
+    // Camera presets from the catalog `camera.presets`, plus built-in defaults.
+    // 'model-<index>' is a close-up of that cloud model, computed on demand.
+    setupCameraPresets() {
+        this.cameraRig = new CameraRig(this.camera, this.controls);
+        const presets = Object.assign({
+            overview: { position: [20, 70, 95], target: [0, 0, 0] }, // More left and higher for bird-eye corner
+            top: { position: [0, 110, 0.1], target: [0, 0, 0] } // a hair off vertical so OrbitControls keeps its up
+        }, this.catalog.camera && this.catalog.camera.presets);
+        Object.keys(presets).forEach(name => this.cameraRig.setPreset(name, presets[name]));
+        this.cameraRig.flyTo('overview', { duration: 0 });
+    }
+    
+    flyCamera(view, duration) {
+        return this.cameraRig.flyTo(view, { duration: this.reducedMotion.matches ? 0 : duration });
+    }
+    
+    showCameraPreset(name) {
+        const match = /^model-(\d+)$/.exec(name);
+        if (match) {
+            const modelData = this.models.find(entry => entry.scene.userData.modelIndex === Number(match[1]));
+            return modelData ? this.flyCamera(this.cameraRig.closeUp(modelData.scene)) : Promise.resolve(false);
+        }
+        return this.flyCamera(name);
+    }
+    
+    setupCameraControls() {
+        const controls = document.getElementById('camera-controls');
+        const tourButton = document.getElementById('camera-tour');
+        if (!controls) return;
+        
+        controls.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-camera-preset]');
+            if (!button) return;
+            this.stopTour();
+            this.showCameraPreset(button.dataset.cameraPreset);
+        });
+        if (tourButton) {
+            tourButton.addEventListener('click', () => {
+                if (this.tour) {
+                    this.stopTour();
+                } else {
+                    this.startTour();
+                }
+            });
+        }
+        
+        // Any interaction ends the tour, except the button that toggles it
+        const interrupt = (e) => {
+            if (!this.tour || (tourButton && e.target instanceof Node && tourButton.contains(e.target))) return;
+            this.stopTour();
+        };
+        ['pointerdown', 'wheel', 'keydown', 'touchstart'].forEach((type) => {
+            window.addEventListener(type, interrupt, { capture: true, passive: true });
+        });
+    }
+    
+    // Visits every loaded model with a caption, then returns to the overview
+    async startTour() {
+        if (this.tour || this.isLoading) return;
+        const stops = this.models.filter(modelData => !modelData.failed).map(modelData => modelData.scene);
+        if (stops.length === 0) return;
+        const tour = { stopped: false, timer: null, model: null };
+        this.tour = tour;
+        this.updateTourUi();
+        const hold = ((this.catalog.camera && this.catalog.camera.tour) || {}).hold || 4000;
+        
+        for (let i = 0; i < stops.length; i++) {
+            const arrived = await this.flyCamera(this.cameraRig.closeUp(stops[i]));
+            if (tour.stopped || !arrived) break;
             
-            // Verify separation
-            if (this.models.length > 1) {
-                const pos1 = this.models[0].scene.position;
-                const pos2 = this.models[1].scene.position;
-                const distance = pos1.distanceTo(pos2);
-                console.log(`Distance between first two models: ${distance.toFixed(2)} units`);
+            tour.model = stops[i];
+            this.restoreModelColor(tour.model);
+            const design = this.findDesign(tour.model.userData.designId);
+            this.updateTourUi(`${design ? design.name : 'Design'} \u2014 ${i + 1} of ${stops.length}`);
+            await new Promise((resolve) => {
+                tour.timer = setTimeout(resolve, hold);
+                tour.resolve = resolve;
+            });
+            this.releaseTourModel(tour);
+            if (tour.stopped) break;
+        }
+        
+        if (!tour.stopped) {
+            this.stopTour();
+            this.flyCamera('overview');
+        }
+    }
+    
+    // Leaves the camera where it is, so the user carries on from there
+    stopTour() {
+        const tour = this.tour;
+        if (!tour) return;
+        tour.stopped = true;
+        this.tour = null;
+        clearTimeout(tour.timer);
+        if (tour.resolve) tour.resolve();
+        this.cameraRig.stop();
+        this.releaseTourModel(tour);
+        this.updateTourUi();
+    }
+    
+    releaseTourModel(tour) {
+        const model = tour.model;
+        tour.model = null;
+        if (model && model !== this.hoveredModel && model !== this.defaultColorModel) {
+            this.setModelToGrayscale(model);
+        }
+    }
+    
+    updateTourUi(caption = '') {
+        const tourButton = document.getElementById('camera-tour');
+        const captionElement = document.getElementById('tour-caption');
+        if (tourButton) {
+            tourButton.setAttribute('aria-pressed', String(!!this.tour));
+            tourButton.textContent = this.tour ? 'Stop tour' : 'Tour';
+        }
+        if (captionElement) {
+            captionElement.textContent = caption;
+            captionElement.classList.toggle('hidden', !caption);
+        }
+    }
+    
+    // Positioned by layoutModelCloud() once added
+    addModelToCloud(gltf, i) {
+        this.models.push(gltf);
+        
+        const entry = this.catalog.models[i];
+        const model = gltf.scene;
+        model.userData.modelIndex = i;
+        model.userData.designId = this.modelDesigns[i];
+        this.scene.add(model);
+        
+        const rotation = entry.rotation !== undefined ? entry.rotation : this.cloudLayout.rotation;
+        model.rotation.y += THREE.MathUtils.degToRad(rotation);
+        this.centerAndScaleModel(model);
+        
+        this.enableShadows(model);
+        this.highlight.add(model, entry.highlight);
+        this.highlight.set(model, false, true);
+        this.intersectTargets.push(model);
+        if (entry.featured && !this.defaultColorModel) {
+            this.defaultColorModel = model;
+        }
+        
+        this.addFloatingOrbitAnimation(model, i);
+        this.storeOriginalPosition(model);
+    }
+    
+    addModelPlaceholder(i) {
+        // Wireframe stand-in so a failed model leaves a visible gap-filler, not a hole
+        const placeholder = new THREE.Mesh(
+            new THREE.IcosahedronGeometry(6, 1),
+            new THREE.MeshBasicMaterial({ color: 0xbdbdbd, wireframe: true })
+        );
+        placeholder.userData.modelIndex = i;
+        placeholder.userData.loadFailed = true;
+        this.scene.add(placeholder);
+        this.models.push({ scene: placeholder, failed: true });
+        
+        this.addFloatingOrbitAnimation(placeholder, i);
+        this.storeOriginalPosition(placeholder);
+    }
+    
+    storeOriginalPosition(model) {
+        // Store original position for reset
+        this.originalPositions.push({
+            x: model.position.x,
+            y: model.position.y,
+            z: model.position.z,
+            scale: model.scale.clone()
+        });
+    }
+    
+    updateLoadingProgress(progress) {
+        const bar = document.getElementById('loading-progress');
+        const status = document.getElementById('loading-status');
+        if (!bar) return;
+        
+        // Bytes when every server sends Content-Length, otherwise whole models
+        const done = progress.filter(entry => entry.done).length;
+        const total = progress.reduce((sum, entry) => sum + entry.total, 0);
+        const sized = progress.every(entry => entry.total > 0 || entry.done);
+        let fraction = progress.length ? done / progress.length : 1;
+        let label = `Loading models ${done}/${progress.length}`;
+        if (sized && total > 0) {
+            const loaded = progress.reduce((sum, entry) => sum + (entry.total > 0 ? entry.loaded : 0), 0);
+            fraction = loaded / total;
+            label = `Loading models ${(loaded / 1048576).toFixed(1)} of ${(total / 1048576).toFixed(1)} MB`;
+        }
+        
+        const percent = Math.round(Math.min(fraction, 1) * 100);
+        bar.style.setProperty('--loading-progress', `${percent}%`);
+        bar.setAttribute('aria-valuenow', String(percent));
+        if (status) status.textContent = label;
+    }
+    
+    // Local development, or opted in with localStorage 'redo.dev' = '1'
+    isDeveloperMode() {
+        const host = window.location.hostname;
+        return host === 'localhost' || host === '127.0.0.1' || host === '' || this.loadPreference('redo.dev', '') === '1';
+    }
+    
+    // Developer check: every asset the catalog names must answer, and any image that
+    // fails later is listed too. tools/check-assets.js does the thorough offline check.
+    async checkAssets() {
+        if (!this.isDeveloperMode()) return;
+        
+        document.addEventListener('error', (e) => {
+            const target = e.target;
+            if (target && target.tagName === 'IMG' && target.getAttribute('src') && !target.src.startsWith('blob:')) {
+                this.reportMissingAsset(target.getAttribute('src'), `image${target.alt ? ` "${target.alt}"` : ''}`);
+            }
+        }, true); // load errors do not bubble
+        
+        const assets = new Map();
+        AssetManifest.jsonAssets(this.catalog).forEach(asset => {
+            if (!assets.has(asset.path)) assets.set(asset.path, asset.where);
+        });
+        await Promise.all(Array.from(assets, async ([path, where]) => {
+            try {
+                const response = await fetch(path, { method: 'HEAD' });
+                if (!response.ok) this.reportMissingAsset(path, `catalog ${where}: HTTP ${response.status}`);
+            } catch (error) {
+                this.reportMissingAsset(path, `catalog ${where}: ${error.message}`);
             }
-        }, 1000);
+        }));
+    }
+    
+    reportMissingAsset(path, detail) {
+        if (!this.isDeveloperMode() || this.missingAssets.has(path)) return;
+        this.missingAssets.set(path, detail);
+        console.warn(`Missing asset ${path} (${detail})`);
+        
+        const overlay = document.getElementById('asset-warnings');
+        const list = document.getElementById('asset-warnings-list');
+        if (!overlay || !list) return;
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = path;
+        item.appendChild(code);
+        item.appendChild(document.createTextNode(` \u2014 ${detail}`));
+        list.appendChild(item);
+        overlay.classList.remove('hidden');
+        
+        if (!overlay.dataset.ready) {
+            overlay.dataset.ready = 'true';
+            const close = document.getElementById('asset-warnings-close');
+            if (close) close.addEventListener('click', () => overlay.classList.add('hidden'));
+        }
+    }
+    
+    showModelLoadNotice(failed) {
+        const notice = document.getElementById('model-load-notice');
+        if (!notice) return;
+        if (failed.length === 0) {
+            notice.classList.add('hidden');
+            return;
+        }
+        notice.textContent = failed.length === this.modelFiles.length
+            ? 'The 3D models could not be loaded.'
+            : `${failed.length} of ${this.modelFiles.length} models could not be loaded.`;
+        notice.title = failed.join('\n');
+        notice.classList.remove('hidden');
     }
     
-    positionModelCloud(model, index) {
-        // Simple test: place models in a clear pattern to verify they're separating
-        const spacing = 20;
-        const positionIndex = index === 0 ? 1 : index === 1 ? 0 : index;
-        const angle = (positionIndex / this.modelFiles.length) * Math.PI * 2;
-        const x = Math.cos(angle) * spacing;
-        const z = Math.sin(angle) * spacing;
-        const y = (positionIndex - 2) * 5; // Vertical offset for visibility
+    // Arranges every model in the cloud with the catalog layout (js/cloud-layout.js).
+    // Runs after the initial load and whenever a model is added or removed.
+    layoutModelCloud(animate = true) {
+        const items = this.models.map((modelData) => {
+            const model = modelData.scene;
+            const entry = this.catalog.models[model.userData.modelIndex] || {};
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            return { radius: Math.max(size.x, size.y, size.z) * 0.5, featured: !!entry.featured };
+        });
         
-        const position = new THREE.Vector3(x, y, z);
-        model.position.add(position);
+        let positions;
+        try {
+            positions = CloudLayout.arrange(items, this.cloudLayout);
+        } catch (error) {
+            console.error('Invalid catalog layout, using a ring:', error);
+            positions = CloudLayout.arrange(items, Object.assign({}, this.cloudLayout, { type: 'ring' }));
+        }
         
-        console.log(`Model ${index} positioned at:`, model.position.toArray());
+        const smooth = animate && !this.reducedMotion.matches;
+        this.models.forEach((modelData, index) => {
+            const model = modelData.scene;
+            const target = positions[index];
+            const motion = model.userData.motion;
+            
+            const original = this.originalPositions[index];
+            if (original) Object.assign(original, target);
+            
+            if (motion && motion.layoutTween) motion.layoutTween.stop();
+            if (motion && smooth) {
+                motion.layoutTween = new TWEEN.Tween(motion.baseOffset)
+                    .to(target, 800)
+                    .easing(TWEEN.Easing.Quadratic.InOut)
+                    .start();
+            } else {
+                if (motion) motion.baseOffset.copy(target);
+                model.position.copy(target);
+            }
+        });
+    }
+    
+    // Adds a model to the running cloud; `entry` is a catalog model entry
+    async addCloudModel(entry) {
+        const i = this.catalog.models.push(entry) - 1;
+        this.modelFiles.push(entry.file);
+        this.modelDesigns.push(entry.design || null);
+        try {
+            this.addModelToCloud(await this.loadCatalogModel(this.modelLoader, entry), i);
+        } catch (error) {
+            console.error(`Error loading model ${entry.file}:`, error);
+            this.reportMissingAsset(entry.file, `added model: ${error.message || error}`);
+            this.addModelPlaceholder(i);
+        }
+        this.layoutModelCloud();
     }
     
-    isTooClose(newPosition, minDistance) {
-        if (!this.modelPositions) return false;
+    // Removes the model at catalog index `index` and closes the gap
+    removeCloudModel(index) {
+        const position = this.models.findIndex(modelData => modelData.scene.userData.modelIndex === index);
+        if (position === -1) return;
+        const model = this.models[position].scene;
+        
+        this.scene.remove(model);
+        this.highlight.remove(model);
+        model.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) [].concat(child.material).forEach(material => material.dispose());
+        });
+        this.models.splice(position, 1);
+        this.originalPositions.splice(position, 1);
+        this.intersectTargets = this.intersectTargets.filter(target => target !== model);
+        if (this.hoveredModel === model) this.hoveredModel = null;
+        
+        this.catalog.models.splice(index, 1);
+        this.modelFiles.splice(index, 1);
+        this.modelDesigns.splice(index, 1);
+        this.models.forEach((modelData) => {
+            if (modelData.scene.userData.modelIndex > index) modelData.scene.userData.modelIndex--;
+        });
         
-        return this.modelPositions.some(existing => 
-            existing.distanceTo(newPosition) < minDistance
-        );
+        if (this.defaultColorModel === model) {
+            const featured = this.models.find(modelData => !modelData.failed && this.catalog.models[modelData.scene.userData.modelIndex].featured);
+            this.defaultColorModel = featured ? featured.scene : null;
+            if (this.defaultColorModel) this.restoreModelColor(this.defaultColorModel);
+        }
+        this.layoutModelCloud();
     }
     
-    loadModel(loader, url) {
+    loadModel(loader, url, onProgress) {
         return new Promise((resolve, reject) => {
             loader.load(
                 url,
@@ -225,7 +765,7 @@ class Scene3D {
                     resolve(gltf);
                 },
                 (progress) => {
-                    console.log(`Loading progress: ${(progress.loaded / progress.total * 100).toFixed(2)}%`);
+                    if (onProgress) onProgress(progress);
                 },
                 (error) => {
                     reject(error);
@@ -235,8 +775,7 @@ class Scene3D {
     }
     
     centerAndScaleModel(model) {
-        // First, position the model in the cloud BEFORE centering
-        // This way centering won't override our positioning
+        // Positions come from layoutModelCloud(), so centering must not move the model
         
         // Scale to fit in view - significantly larger scale
         const box = new THREE.Box3().setFromObject(model);
@@ -245,9 +784,9 @@ class Scene3D {
         const scale = (10.0 / maxDim) * 1.872; // 30% larger
         model.scale.setScalar(scale);
 
-        const adjustment = this.modelAdjustments && this.modelAdjustments[model.userData.modelIndex];
-        if (adjustment && adjustment.scale) {
-            model.scale.multiplyScalar(adjustment.scale);
+        const entry = this.catalog.models[model.userData.modelIndex];
+        if (entry && entry.scale) {
+            model.scale.multiplyScalar(entry.scale);
         }
         
         // DON'T center the model - let it keep its position
@@ -264,88 +803,11 @@ class Scene3D {
     }
 
     setModelToGrayscale(model) {
-        model.traverse((child) => {
-            if (!child.isMesh || !child.material) return;
-            const materials = Array.isArray(child.material) ? child.material : [child.material];
-            materials.forEach((mat) => {
-                if (!mat.userData.originalColor && mat.color) {
-                    mat.userData.originalColor = mat.color.clone();
-                }
-                if (!mat.userData.originalMap && mat.map) {
-                    mat.userData.originalMap = mat.map;
-                }
-
-                if (mat.map) {
-                    if (!mat.userData.grayMap) {
-                        mat.userData.grayMap = this.createGrayscaleTexture(mat.map);
-                    }
-                    if (mat.userData.grayMap) {
-                        mat.map = mat.userData.grayMap;
-                    }
-                } else if (mat.color) {
-                    const hsl = { h: 0, s: 0, l: 0 };
-                    mat.color.getHSL(hsl);
-                    mat.color.setHSL(0, 0, hsl.l);
-                }
-                mat.needsUpdate = true;
-            });
-        });
+        this.highlight.set(model, false, this.reducedMotion.matches);
     }
 
     restoreModelColor(model) {
-        model.traverse((child) => {
-            if (!child.isMesh || !child.material) return;
-            const materials = Array.isArray(child.material) ? child.material : [child.material];
-            materials.forEach((mat) => {
-                if (mat.userData.originalMap) {
-                    mat.map = mat.userData.originalMap;
-                }
-                if (mat.color && mat.userData.originalColor) {
-                    mat.color.copy(mat.userData.originalColor);
-                }
-                mat.needsUpdate = true;
-            });
-        });
-    }
-
-    createGrayscaleTexture(map) {
-        const image = map.image;
-        if (!image) return null;
-
-        const canvas = document.createElement('canvas');
-        const width = image.width || image.videoWidth || image.naturalWidth;
-        const height = image.height || image.videoHeight || image.naturalHeight;
-        if (!width || !height) return null;
-
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-        if (!ctx) return null;
-
-        try {
-            ctx.drawImage(image, 0, 0, width, height);
-        } catch (err) {
-            return null;
-        }
-
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-            data[i] = gray;
-            data[i + 1] = gray;
-            data[i + 2] = gray;
-        }
-        ctx.putImageData(imageData, 0, 0);
-
-        const grayTexture = new THREE.CanvasTexture(canvas);
-        grayTexture.flipY = map.flipY;
-        grayTexture.encoding = map.encoding;
-        grayTexture.needsUpdate = true;
-        return grayTexture;
+        this.highlight.set(model, true, this.reducedMotion.matches);
     }
 
     updateHoverFromPointer() {
@@ -358,6 +820,7 @@ class Scene3D {
             if (this.defaultColorModel) {
                 this.restoreModelColor(this.defaultColorModel);
             }
+            this.updateModelTooltip();
             return;
         }
 
@@ -386,6 +849,8 @@ class Scene3D {
             }
             this.hoveredModel = nextHovered;
         }
+        
+        this.updateModelTooltip();
 
         if (this.defaultColorModel && this.defaultColorModel !== this.hoveredModel) {
             if (this.hoveredModel) {
@@ -410,43 +875,6 @@ class Scene3D {
         delete model.userData.hoverBaseScale;
     }
     
-    separateModels(maxIterations = 40) {
-        // Compute simple bounding sphere radii for each model
-        const entries = this.models.map((modelData) => {
-            const model = modelData.scene;
-            const box = new THREE.Box3().setFromObject(model);
-            const size = box.getSize(new THREE.Vector3());
-            const radius = Math.max(size.x, size.y, size.z) * 0.5; // after scaling, roughly ~5
-            return { model, radius: radius * 1.05 }; // small buffer
-        });
-        
-        for (let iter = 0; iter < maxIterations; iter++) {
-            let anyMoved = false;
-            for (let i = 0; i < entries.length; i++) {
-                for (let j = i + 1; j < entries.length; j++) {
-                    const a = entries[i];
-                    const b = entries[j];
-                    const delta = new THREE.Vector3().subVectors(b.model.position, a.model.position);
-                    let dist = delta.length();
-                    const minDist = a.radius + b.radius;
-                    if (dist < 1e-4) {
-                        // Coincident; random nudge
-                        delta.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-                        dist = 1e-4;
-                    }
-                    if (dist < minDist) {
-                        const overlap = (minDist - dist) * 0.55; // move a bit more than half to speed convergence
-                        delta.normalize();
-                        a.model.position.addScaledVector(delta, -overlap * 0.5);
-                        b.model.position.addScaledVector(delta, overlap * 0.5);
-                        anyMoved = true;
-                    }
-                }
-            }
-            if (!anyMoved) break;
-        }
-    }
-    
     addFloatingOrbitAnimation(model, index) {
         // BAM Works style: very slow, gentle orbital motion
         model.userData.motion = {
@@ -475,6 +903,9 @@ class Scene3D {
     }
     
     onMouseClick(event) {
+        // Only clicks that land on the model cloud itself, not on UI above it
+        if (event.target !== this.renderer.domElement || this.isStepSliderOpen()) return;
+        
         // Calculate mouse position in normalized device coordinates
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
@@ -497,7 +928,7 @@ class Scene3D {
                 
                 // Check if this is one of our loaded models
                 for (let modelData of this.models) {
-                    if (modelData.scene === current) {
+                    if (modelData.scene === current && !modelData.failed) {
                         clickedModel = current;
                         break;
                     }
@@ -511,15 +942,105 @@ class Scene3D {
         }
     }
     
-    handleModelClick(model) {
+    async handleModelClick(model) {
+        this.stopTour();
+        
         // Reset all models to original state
         this.resetAllModels();
         
-        // Animate the clicked model
-        this.animateModelFocus(model);
-        
         // Update selected model
         this.selectedModel = model;
+        
+        // Fly in first: the step slider covers the cloud and pauses its render loop.
+        // A later click, or dragging the camera away, cancels opening this one.
+        const flightId = ++this.focusFlightId;
+        const arrived = await this.flyCamera(this.cameraRig.closeUp(model), 900);
+        if (!arrived || flightId !== this.focusFlightId) return;
+        
+        // Open the design flow seeded with the design this model stands for
+        const design = this.findDesign(model.userData.designId);
+        if (design) {
+            this.openDesign(design);
+        }
+    }
+    
+    findDesign(designId) {
+        return this.catalog.designs.find(design => design.id === designId) || null;
+    }
+    
+    isStepSliderOpen() {
+        const slider = document.getElementById('step-slider');
+        return !!slider && !slider.classList.contains('hidden');
+    }
+    
+    openDesign(design) {
+        this.historyPaused = true; // one history entry for the whole jump
+        this.setSessionId(null); // saved as a new entry in My designs
+        this.showStepSlider();
+        this.updateModelTooltip();
+        document.querySelectorAll('.nav-step').forEach((step, index) => {
+            step.classList.toggle('active', index === 0);
+        });
+        
+        // Step 1: the design's source photo
+        const thumbnail = document.querySelector(`.image-thumbnail[data-source-id="${design.sourceImage}"]`);
+        if (thumbnail) {
+            this.selectThumbnail(thumbnail);
+        } else {
+            console.warn(`Design ${design.id} has no source image thumbnail`);
+            this.historyPaused = false;
+            this.updateHistory(true);
+            return;
+        }
+        
+        // Step 2: its prompt, with the matching suggestion chip selected
+        const designInput = document.getElementById('design-input');
+        if (designInput) {
+            designInput.value = design.prompt;
+            designInput.dispatchEvent(new Event('input'));
+        }
+        this.session.prompt = design.prompt;
+        this.updateStep2Draggers();
+        
+        // Step 3: the catalog candidates, no generation round trip needed
+        this.generationId++; // drop any generation still in flight
+        this.session.candidates = {
+            prompt: design.prompt,
+            images: design.candidates.map(candidate => candidate.image)
+        };
+        this.session.finalDesign = null;
+        const optionsContainer = document.getElementById('step-3-options');
+        if (optionsContainer) {
+            optionsContainer.classList.remove('is-generating');
+            optionsContainer.setAttribute('aria-busy', 'false');
+        }
+        
+        // Move to Step 3; updateCurrentStepFromBoundaries() shows the candidates
+        this.boundaries['1-2'] = 0;
+        this.boundaries['2-3'] = 15;
+        this.boundaries['3-4'] = 85;
+        this.updateCanvasPositions();
+        this.updateSliderVisibility();
+        this.updateCurrentStepFromBoundaries();
+        this.historyPaused = false;
+        this.updateHistory(true);
+        console.log(`Opened design ${design.id} from the model cloud`);
+    }
+    
+    updateModelTooltip() {
+        const tooltip = document.getElementById('model-tooltip');
+        if (!tooltip) return;
+        
+        const model = this.pointerActive && !this.isStepSliderOpen() ? this.hoveredModel : null;
+        const design = model ? this.findDesign(model.userData.designId) : null;
+        if (!design) {
+            tooltip.classList.add('hidden');
+            return;
+        }
+        
+        tooltip.textContent = design.name;
+        tooltip.style.transform = `translate(${this.pointerClient.x + 16}px, ${this.pointerClient.y + 16}px)`;
+        tooltip.classList.remove('hidden');
     }
     
     resetAllModels() {
@@ -535,24 +1056,6 @@ class Scene3D {
         });
     }
     
-    animateModelFocus(model) {
-        // Create a focus animation for the selected model
-        const targetScale = 1.3;
-        const targetY = 0;
-        
-        // Animate scale and position
-        const scaleTween = new TWEEN.Tween(model.scale)
-            .to({ x: targetScale, y: targetScale, z: targetScale }, 800)
-            .easing(TWEEN.Easing.Quadratic.Out);
-            
-        const positionTween = new TWEEN.Tween(model.position)
-            .to({ y: targetY }, 800)
-            .easing(TWEEN.Easing.Quadratic.Out);
-            
-        scaleTween.start();
-        positionTween.start();
-    }
-    
     setupEventListeners() {
         // Mouse click for object selection
         window.addEventListener('click', (event) => {
@@ -566,17 +1069,30 @@ class Scene3D {
             const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
             this.pointer.x = x;
             this.pointer.y = y;
+            this.pointerClient.x = event.clientX;
+            this.pointerClient.y = event.clientY;
             this.pointerActive = true;
+            this.pointerMoved = true;
         });
         
         this.renderer.domElement.addEventListener('mouseleave', () => {
             this.pointerActive = false;
+            this.updateModelTooltip();
             if (this.hoveredModel) {
                 this.setModelToGrayscale(this.hoveredModel);
                 this.hoveredModel = null;
             }
         });
         
+        // Nothing to draw while the tab is in the background
+        document.addEventListener('visibilitychange', () => this.updateLoopState());
+        
+        // Reduced motion: no floating orbits or auto-rotation
+        this.reducedMotion.addEventListener('change', () => {
+            this.controls.autoRotate = !this.reducedMotion.matches;
+            if (this.reducedMotion.matches) this.resetFloatingMotion();
+        });
+        
         // Window resize
         window.addEventListener('resize', () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -597,6 +1113,15 @@ class Scene3D {
         
         // Navigation dots click functionality
         this.setupNavDots();
+        
+        // Camera presets and the guided tour
+        this.setupCameraControls();
+        
+        // PNG and turntable export of the model cloud and the Step 4 preview
+        this.setupExportPanel();
+        
+        // "View in your room" hand-off for the Step 4 design
+        this.setupArPanel();
     }
     
     setupNavDots() {
@@ -629,19 +1154,462 @@ class Scene3D {
         
         // Setup Step 3 interactions
         this.setupStep3Interactions();
+        
+        // Setup Step 4 interactions
+        this.setupStep4Interactions();
+        
+        // Saved sessions panel
+        this.setupMyDesigns();
     }
     
-    showStepSlider() {
-        const slider = document.getElementById('step-slider');
-        const logo = document.querySelector('.top-logo');
-        const stepRange = document.getElementById('step-range');
-        
-        slider.classList.remove('hidden');
-        logo.classList.add('visible');
+    loadPreference(key, fallback) {
+        try {
+            return localStorage.getItem(key) || fallback;
+        } catch (error) {
+            return fallback; // storage blocked (private mode, sandboxed iframe)
+        }
+    }
+    
+    savePreference(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            console.warn(`Could not save preference ${key}:`, error);
+        }
+    }
+    
+    // Wizard state in the URL, so links and reloads land on the same step:
+    //   ?step=4&image=click1&prompt=...&design=lounge-2
+    // image and design are catalog ids (uploaded images cannot be linked to).
+    // Step changes push history entries; edits within a step replace the current one.
+    setupHistory() {
+        window.addEventListener('popstate', () => {
+            this.restoreState(new URLSearchParams(window.location.search));
+        });
         
-        // Explicitly remove image-selected class on initialization
-        slider.classList.remove('image-selected');
-        slider.classList.remove('design-selected');
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('step')) return;
+        
+        // A reload in the same tab reopens its saved session, uploaded image included
+        const sessionId = this.loadSessionId();
+        if (!sessionId) {
+            this.restoreState(params);
+            return;
+        }
+        this.sessionStore.get(sessionId).then((record) => {
+            if (record && record.query === params.toString()) {
+                this.applySavedSession(record);
+            } else {
+                this.setSessionId(null); // a different link was opened in this tab
+                this.restoreState(params);
+            }
+        }).catch((error) => {
+            console.warn('Could not read the saved session:', error);
+            this.restoreState(params);
+        });
+    }
+    
+    stateParams() {
+        const params = new URLSearchParams();
+        params.set('step', String(this.currentStep));
+        const source = this.session.sourceImage;
+        if (source && source.id) params.set('image', source.id);
+        if (this.session.prompt) params.set('prompt', this.session.prompt);
+        const finalDesign = this.session.finalDesign;
+        if (finalDesign && finalDesign.candidateId) params.set('design', finalDesign.candidateId);
+        return params;
+    }
+    
+    stateUrl() {
+        const query = this.isStepSliderOpen() ? this.stateParams().toString() : '';
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+    
+    locationUrl() {
+        return `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    }
+    
+    updateHistory(push = false) {
+        if (this.historyPaused) return;
+        this.scheduleSessionSave();
+        const url = this.stateUrl();
+        if (url === this.locationUrl()) return;
+        if (push && this.dragStartUrl === null) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+    
+    // A drag only replaces the URL as it crosses steps. When it ends, the entry it
+    // started from is put back and the final state pushed: one entry per drag.
+    beginDragHistory() {
+        this.dragStartUrl = this.locationUrl();
+    }
+    
+    endDragHistory() {
+        const startUrl = this.dragStartUrl;
+        this.dragStartUrl = null;
+        if (startUrl === null || this.historyPaused) return;
+        const url = this.locationUrl();
+        if (url === startUrl) return;
+        window.history.replaceState(null, '', startUrl);
+        window.history.pushState(null, '', url);
+    }
+    
+    findDesignByCandidate(candidateId) {
+        return this.catalog.designs.find(design => design.candidates.some(candidate => candidate.id === candidateId)) || null;
+    }
+    
+    // Apply URL parameters (page load, back/forward)
+    restoreState(params) {
+        const step = Math.min(4, Math.max(0, parseInt(params.get('step')) || 0));
+        if (!step) {
+            if (this.isStepSliderOpen()) {
+                this.historyPaused = true;
+                this.hideStepSlider();
+                this.historyPaused = false;
+            }
+            return;
+        }
+        
+        const candidateId = params.get('design');
+        const design = candidateId ? this.findDesignByCandidate(candidateId) : null;
+        if (candidateId && !design) console.warn(`Linked design ${candidateId} is not in the catalog`);
+        
+        // A linked design implies its source image and prompt
+        const sourceId = params.get('image') || (design ? design.sourceImage : null);
+        const thumbnail = sourceId ? document.querySelector(`.image-thumbnail[data-source-id="${sourceId}"]`) : null;
+        if (sourceId && !thumbnail) console.warn(`Linked source image ${sourceId} is not in the catalog`);
+        const prompt = params.get('prompt') || (design ? design.prompt : '');
+        
+        // Catalog candidates for the prompt; anything else is generated again in Step 3
+        const promptDesign = design || this.catalog.designs.find(entry => entry.prompt === prompt);
+        const linked = design ? design.candidates.find(candidate => candidate.id === candidateId) : null;
+        this.restoreWizard({
+            step,
+            thumbnail,
+            prompt,
+            candidates: promptDesign ? { prompt, images: promptDesign.candidates.map(candidate => candidate.image) } : null,
+            finalImage: linked ? linked.image : null
+        });
+    }
+    
+    // Puts the wizard in the given state without adding history entries.
+    // finalImage is the candidate to show in the main Step 3 slot and finalize in Step 4.
+    restoreWizard({ step, thumbnail, prompt, candidates, finalImage }, push = false) {
+        const sameImage = (a, b) => new URL(a, document.baseURI).href === new URL(b, document.baseURI).href;
+        this.historyPaused = true;
+        try {
+            if (!this.isStepSliderOpen()) this.showStepSlider();
+            
+            // Step 1
+            if (thumbnail && !thumbnail.classList.contains('selected')) {
+                this.selectThumbnail(thumbnail);
+            }
+            
+            // Step 2
+            if (prompt !== this.session.prompt) {
+                const designInput = document.getElementById('design-input');
+                if (designInput) {
+                    designInput.value = prompt;
+                    designInput.dispatchEvent(new Event('input'));
+                }
+                this.session.prompt = prompt;
+                this.updateStep2Draggers();
+            }
+            
+            // Step 3: compared as sets, the order is only which one sits in the main slot
+            const current = this.session.candidates;
+            const sameSet = (a, b) => a.slice().sort().join('\n') === b.slice().sort().join('\n');
+            if (candidates && (!current || current.prompt !== candidates.prompt || !sameSet(current.images, candidates.images))) {
+                this.generationId++; // drop any generation still in flight
+                this.session.candidates = { prompt: candidates.prompt, images: candidates.images.slice() };
+            } else if (!candidates && current && current.prompt !== prompt) {
+                this.session.candidates = null; // generated again on reaching Step 3
+            }
+            const finalDesign = this.session.finalDesign;
+            if (finalImage && this.session.candidates && (!finalDesign || !sameImage(finalDesign.image, finalImage))) {
+                const images = this.session.candidates.images;
+                const index = images.findIndex(image => sameImage(image, finalImage));
+                if (index !== -1 && images.length > 1) {
+                    [images[1], images[index]] = [images[index], images[1]];
+                }
+                this.session.finalDesign = null; // finalized again on reaching Step 4
+            }
+            if (step >= 3 && this.session.candidates) {
+                this.updateStep3Images(this.session.candidates);
+            }
+            
+            if (step === this.currentStep) {
+                if (step === 4 && !this.session.finalDesign) this.finalizeDesign();
+            } else {
+                this.slideToStep(step);
+            }
+        } finally {
+            this.historyPaused = false;
+        }
+        // Steps that could not be reached (e.g. no image) leave the URL describing the real state
+        this.updateHistory(push);
+    }
+    
+    // "My designs": every wizard session is saved to IndexedDB (js/session-store.js)
+    // and can be reopened at the step it was left on, exported or deleted.
+    loadSessionId() {
+        try {
+            return sessionStorage.getItem('redo.session');
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    setSessionId(id) {
+        this.session.id = id;
+        this.session.createdAt = id ? this.session.createdAt || Date.now() : null;
+        try {
+            if (id) {
+                sessionStorage.setItem('redo.session', id);
+            } else {
+                sessionStorage.removeItem('redo.session');
+            }
+        } catch (error) {
+            // storage blocked; a reload then starts a new entry
+        }
+    }
+    
+    scheduleSessionSave() {
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveSession(), 300); // one write per burst of changes
+    }
+    
+    async saveSession() {
+        const session = this.session;
+        const source = session.sourceImage;
+        if (!source) return; // nothing worth keeping before Step 1 is done
+        if (!session.id) this.setSessionId(this.sessionStore.createId());
+        
+        const record = {
+            id: session.id,
+            createdAt: session.createdAt,
+            updatedAt: Date.now(),
+            step: this.currentStep,
+            query: this.stateParams().toString(),
+            sourceImage: {
+                name: source.name,
+                id: source.id,
+                src: source.id ? source.src : null, // upload object URLs die with the page
+                uploadId: source.uploadId,
+                blob: source.uploadId ? this.uploadedImages[source.uploadId] || null : null
+            },
+            prompt: session.prompt,
+            candidates: session.candidates ? { prompt: session.candidates.prompt, images: session.candidates.images.slice() } : null,
+            finalDesign: session.finalDesign ? Object.assign({}, session.finalDesign) : null
+        };
+        try {
+            await this.sessionStore.save(record);
+        } catch (error) {
+            console.warn('Could not save the design session:', error);
+        }
+    }
+    
+    applySavedSession(record, push = false) {
+        const source = record.sourceImage || {};
+        let thumbnail = null;
+        if (source.id) {
+            thumbnail = document.querySelector(`.image-thumbnail[data-source-id="${source.id}"]`);
+        } else if (source.blob) {
+            // Uploads come back as thumbnails again, once per page
+            thumbnail = document.querySelector(`.image-thumbnail[data-upload-id="${source.uploadId}"]`) ||
+                this.addUploadedThumbnail(source.blob, source.name, source.uploadId);
+        }
+        
+        this.setSessionId(record.id);
+        this.session.createdAt = record.createdAt;
+        this.session.finalDesign = null; // the saved one is finalized again on reaching Step 4
+        this.restoreWizard({
+            step: record.step,
+            thumbnail,
+            prompt: record.prompt || '',
+            candidates: record.candidates,
+            finalImage: record.finalDesign ? record.finalDesign.image : null
+        }, push);
+        this.scheduleSessionSave(); // bump it to the top of the list
+    }
+    
+    setupMyDesigns() {
+        const toggle = document.getElementById('my-designs-toggle');
+        const close = document.getElementById('my-designs-close');
+        const list = document.getElementById('my-designs-list');
+        if (!toggle || !list) return;
+        
+        toggle.addEventListener('click', () => {
+            this.setMyDesignsOpen(!this.isMyDesignsOpen());
+        });
+        if (close) {
+            close.addEventListener('click', () => this.setMyDesignsOpen(false));
+        }
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-session-action]');
+            const entry = button && button.closest('[data-session-id]');
+            if (!entry) return;
+            const id = entry.dataset.sessionId;
+            try {
+                const record = await this.sessionStore.get(id);
+                if (!record) return;
+                if (button.dataset.sessionAction === 'open') {
+                    this.setMyDesignsOpen(false);
+                    this.applySavedSession(record, true);
+                } else if (button.dataset.sessionAction === 'export') {
+                    await this.exportSavedSession(record);
+                } else if (button.dataset.sessionAction === 'delete') {
+                    if (!window.confirm(`Delete "${this.sessionTitle(record)}" from My designs?`)) return;
+                    await this.sessionStore.delete(id);
+                    if (id === this.session.id) this.setSessionId(null); // later changes start a new entry
+                    await this.renderMyDesigns();
+                    toggle.focus();
+                }
+            } catch (error) {
+                console.error(`Could not ${button.dataset.sessionAction} saved design ${id}:`, error);
+            }
+        });
+    }
+    
+    isMyDesignsOpen() {
+        const panel = document.getElementById('my-designs');
+        return !!panel && !panel.classList.contains('hidden');
+    }
+    
+    async setMyDesignsOpen(open) {
+        const panel = document.getElementById('my-designs');
+        const toggle = document.getElementById('my-designs-toggle');
+        if (!panel || !toggle) return;
+        const hadFocus = panel.contains(document.activeElement);
+        
+        panel.classList.toggle('hidden', !open);
+        panel.inert = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+            await this.renderMyDesigns();
+            const first = panel.querySelector('[data-session-action="open"]') || document.getElementById('my-designs-close');
+            if (first) first.focus();
+        } else if (hadFocus) {
+            toggle.focus();
+        }
+    }
+    
+    sessionTitle(record) {
+        return record.prompt || (record.sourceImage && record.sourceImage.name) || 'Untitled design';
+    }
+    
+    async renderMyDesigns() {
+        const list = document.getElementById('my-designs-list');
+        const empty = document.getElementById('my-designs-empty');
+        if (!list) return;
+        
+        // Thumbnails of uploaded images are object URLs, released on every re-render
+        this.designListUrls.forEach(url => URL.revokeObjectURL(url));
+        this.designListUrls = [];
+        
+        let records = [];
+        try {
+            records = await this.sessionStore.list();
+            if (empty) empty.textContent = 'Designs you start are saved here.';
+        } catch (error) {
+            console.warn('Could not list saved designs:', error);
+            if (empty) empty.textContent = 'Saved designs are not available in this browser.';
+        }
+        
+        list.innerHTML = '';
+        records.forEach(record => list.appendChild(this.createDesignEntry(record)));
+        if (empty) empty.classList.toggle('hidden', records.length > 0);
+    }
+    
+    createDesignEntry(record) {
+        const title = this.sessionTitle(record);
+        const entry = document.createElement('li');
+        entry.className = 'my-designs-entry';
+        entry.dataset.sessionId = record.id;
+        
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'my-designs-thumbnail';
+        thumbnail.alt = '';
+        const source = record.sourceImage || {};
+        const candidates = record.candidates && record.candidates.images;
+        if (record.finalDesign && record.finalDesign.image) {
+            thumbnail.src = record.finalDesign.image;
+        } else if (candidates && candidates.length) {
+            thumbnail.src = candidates[Math.min(1, candidates.length - 1)]; // the main slot
+        } else if (source.blob) {
+            thumbnail.src = URL.createObjectURL(source.blob);
+            this.designListUrls.push(thumbnail.src);
+        } else if (source.src) {
+            thumbnail.src = source.src;
+        }
+        
+        const info = document.createElement('div');
+        info.className = 'my-designs-info';
+        const name = document.createElement('p');
+        name.className = 'my-designs-name';
+        name.textContent = title;
+        const meta = document.createElement('p');
+        meta.className = 'my-designs-meta';
+        meta.textContent = `Step ${record.step}: ${this.stepTitles[record.step] || ''} \u00b7 ${new Date(record.updatedAt).toLocaleString()}`;
+        info.appendChild(name);
+        info.appendChild(meta);
+        
+        const actions = document.createElement('div');
+        actions.className = 'my-designs-actions';
+        [['open', 'Open'], ['export', 'Export'], ['delete', 'Delete']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'my-designs-button';
+            button.dataset.sessionAction = action;
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label} ${title}`);
+            actions.appendChild(button);
+        });
+        
+        entry.appendChild(thumbnail);
+        entry.appendChild(info);
+        entry.appendChild(actions);
+        return entry;
+    }
+    
+    // JSON download of one saved session; an uploaded source image goes along as a data URL
+    async exportSavedSession(record) {
+        const exported = Object.assign({}, record);
+        if (record.sourceImage) {
+            exported.sourceImage = Object.assign({}, record.sourceImage);
+            delete exported.sourceImage.blob;
+            if (record.sourceImage.blob) {
+                exported.sourceImage.dataUrl = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(record.sourceImage.blob);
+                });
+            }
+        }
+        const slug = this.sessionTitle(record).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'design';
+        this.downloadFile(`redo-${slug}.json`, JSON.stringify(exported, null, 2), 'application/json');
+    }
+    
+    showStepSlider() {
+        const slider = document.getElementById('step-slider');
+        const logo = document.querySelector('.top-logo');
+        const stepRange = document.getElementById('step-range');
+        
+        if (slider.classList.contains('hidden')) {
+            this.sliderReturnFocus = document.activeElement;
+        }
+        slider.classList.remove('hidden');
+        slider.inert = false;
+        logo.classList.add('visible');
+        this.updateLoopState(); // the slider covers the whole model cloud
+        
+        // Explicitly remove image-selected class on initialization
+        slider.classList.remove('image-selected');
+        slider.classList.remove('design-selected');
         
         // Reset to step 1
         this.currentStep = 1;
@@ -673,6 +1641,7 @@ class Scene3D {
 
         // Ensure active step class is applied for proper z-index
         this.updateActiveSlideClasses();
+        this.updateStepAccessibility(true);
         
         // Check if an image is already selected (from HTML default)
         const selectedThumbnail = document.querySelector('.image-thumbnail.selected');
@@ -705,6 +1674,8 @@ class Scene3D {
         setTimeout(() => {
             this.updateSliderColor();
         }, 0);
+        
+        this.updateHistory(true);
     }
     
     updateSliderColor() {
@@ -845,89 +1816,42 @@ class Scene3D {
     
     hideStepSlider() {
         const slider = document.getElementById('step-slider');
+        const closeUp = this.selectedModel;
+        this.selectedModel = null;
         const logo = document.querySelector('.top-logo');
         slider.classList.add('hidden');
+        slider.inert = true; // still in the layout while it fades out
         logo.classList.remove('visible');
+        this.updateLoopState();
+        if (closeUp && this.cameraRig) this.flyCamera('overview'); // back out of the clicked model's close-up
+        this.updateHistory(true);
+        
+        // Hand focus back to whatever opened the slider
+        const returnFocus = this.sliderReturnFocus;
+        this.sliderReturnFocus = null;
+        if (returnFocus && returnFocus !== document.body && returnFocus.isConnected) {
+            returnFocus.focus({ preventScroll: true });
+        }
     }
     
     setupStepSlider() {
-        const thumbnails = document.querySelectorAll('.image-thumbnail');
         const arrowButtons = document.querySelectorAll('.arrow-button');
         const uploadBox = document.querySelector('.upload-box');
         const stepRange = document.getElementById('step-range');
         this.currentStep = 1;
         
-        // Handle thumbnail selection
-        thumbnails.forEach(thumbnail => {
-            thumbnail.addEventListener('click', () => {
-                // Remove selected class from all thumbnails
-                thumbnails.forEach(thumb => {
-                    thumb.classList.remove('selected');
-                    const indicator = thumb.querySelector('.selection-indicator');
-                    if (indicator) indicator.remove();
-                });
-                
-                // Add selected class to clicked thumbnail
-                thumbnail.classList.add('selected');
-                
-                // Get the image source from the clicked thumbnail
-                const thumbnailImg = thumbnail.querySelector('img');
-                const imageSrc = thumbnailImg && thumbnailImg.src;
-                const imageName = thumbnail.dataset.image;
-                
-                // Update the upload box to show the selected image
-                const uploadBox = document.querySelector('.upload-box');
-                const uploadBoxImg = uploadBox ? uploadBox.querySelector('.selected-image') : null;
-                if (uploadBox && uploadBoxImg && imageSrc) {
-                    uploadBoxImg.src = imageSrc;
-                    uploadBox.classList.add('has-image');
-                    uploadBoxImg.style.display = 'block'; // force visible in case of stale styles
-                }
-                
-                // Enable dragging after image selection
-                this.imageSelected = true;
-                this.enableSliderDragging();
-                this.updateSliderColor(); // Update slider to yellow
-                
-                // Update Step 2 image if it exists
-                this.updateStep2Image(imageSrc);
-                
-                console.log(`Selected image: ${imageName}`);
-            });
-        });
-        
-        // Fallback delegated handler (in case thumbnails are re-rendered)
+        // Handle thumbnail selection (delegated so uploaded thumbnails work too)
         const bottomImages = document.querySelector('.bottom-images');
         if (bottomImages) {
             bottomImages.addEventListener('click', (e) => {
                 const item = e.target && e.target.closest('.image-thumbnail');
                 if (!item) return;
-                const img = item.querySelector('img');
-                if (!img) return;
-                const uploadBox = document.querySelector('.upload-box');
-                const uploadBoxImg = uploadBox ? uploadBox.querySelector('.selected-image') : null;
-                if (uploadBox && uploadBoxImg) {
-                    uploadBoxImg.src = img.src;
-                    uploadBox.classList.add('has-image');
-                    uploadBoxImg.style.display = 'block';
-                }
-                
-                // Enable dragging after image selection
-                this.imageSelected = true;
-                this.enableSliderDragging();
-                this.updateSliderColor(); // Update slider to yellow
-                
-                // Update Step 2 image if it exists
-                this.updateStep2Image(img.src);
+                this.selectThumbnail(item);
             });
         }
         
-        // Handle upload box click
-        if (uploadBox) {
-            uploadBox.addEventListener('click', () => {
-                console.log('Upload box clicked - would open file picker');
-            });
-        }
+        // Handle upload box: file picker, drag-and-drop and clipboard paste
+        this.setupImageUpload(uploadBox);
         
         // Handle arrow button clicks for navigation
         arrowButtons.forEach(button => {
@@ -943,14 +1867,273 @@ class Scene3D {
         // Keep the old range input hidden for now
         stepRange.style.display = 'none';
         
-        // Close slider with Escape key
+        // Keyboard: Escape closes the slider, arrow keys move between steps,
+        // Enter/Space operate the div-based controls (role="button")
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                this.hideStepSlider();
+                if (this.isExportPanelOpen()) {
+                    this.closeExportPanel();
+                } else if (this.isArPanelOpen()) {
+                    this.closeArPanel();
+                } else if (this.isMyDesignsOpen()) {
+                    this.setMyDesignsOpen(false);
+                } else {
+                    this.hideStepSlider();
+                }
+                return;
+            }
+            if (!this.isStepSliderOpen() || this.isMyDesignsOpen() || this.isExportPanelOpen() || this.isArPanelOpen() || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+            
+            if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && !this.isTextEntry(e.target)) {
+                e.preventDefault();
+                if (e.key === 'ArrowRight') {
+                    this.slideToNextStep();
+                } else {
+                    this.slideToPrevStep();
+                }
+            } else if ((e.key === 'Enter' || e.key === ' ') && this.isRoleButton(e.target)) {
+                e.preventDefault();
+                const handle = e.target.closest('.canvas-slider');
+                if (handle) {
+                    // Drag handles move one step in their direction
+                    if (handle.dataset.direction === 'right') {
+                        this.slideToNextStep();
+                    } else {
+                        this.slideToPrevStep();
+                    }
+                } else {
+                    e.target.click();
+                }
+            }
+        });
+        
+        // The landing page nav step opens the slider from the keyboard too
+        const navStart = document.querySelector('.nav-step[role="button"]');
+        if (navStart) {
+            navStart.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    navStart.click();
+                }
+            });
+        }
+    }
+    
+    isTextEntry(element) {
+        // Arrow keys move the caret or change the value there
+        return !!element && !!element.closest && !!element.closest('input, textarea, select, [contenteditable="true"]');
+    }
+    
+    isRoleButton(element) {
+        // Only the slider's own controls; the landing page nav step handles its keys itself
+        return !!element && !!element.closest && element.tagName !== 'BUTTON' &&
+            element.getAttribute('role') === 'button' && !!element.closest('#step-slider');
+    }
+    
+    makeThumbnailOperable(thumbnail) {
+        thumbnail.setAttribute('role', 'button');
+        thumbnail.setAttribute('tabindex', '0');
+        thumbnail.setAttribute('aria-pressed', 'false');
+    }
+    
+    selectThumbnail(thumbnail) {
+        // Remove selected class from all thumbnails
+        document.querySelectorAll('.image-thumbnail').forEach(thumb => {
+            thumb.classList.remove('selected');
+            thumb.setAttribute('aria-pressed', 'false');
+            const indicator = thumb.querySelector('.selection-indicator');
+            if (indicator) indicator.remove();
+        });
+        
+        // Add selected class to clicked thumbnail
+        thumbnail.classList.add('selected');
+        thumbnail.setAttribute('aria-pressed', 'true');
+        
+        // Get the image source from the clicked thumbnail
+        const thumbnailImg = thumbnail.querySelector('img');
+        const imageSrc = thumbnailImg && thumbnailImg.src;
+        const imageName = thumbnail.dataset.image;
+        if (!imageSrc) return;
+        
+        // Update the upload box to show the selected image
+        const uploadBox = document.querySelector('.upload-box');
+        const uploadBoxImg = uploadBox ? uploadBox.querySelector('.selected-image') : null;
+        if (uploadBox && uploadBoxImg) {
+            uploadBoxImg.src = imageSrc;
+            uploadBox.classList.add('has-image');
+            uploadBoxImg.style.display = 'block'; // force visible in case of stale styles
+        }
+        
+        this.session.sourceImage = {
+            src: imageSrc,
+            name: imageName || '',
+            id: thumbnail.dataset.sourceId || null,
+            uploadId: thumbnail.dataset.uploadId || null
+        };
+        this.updateHistory();
+        
+        // Enable dragging after image selection
+        this.imageSelected = true;
+        this.enableSliderDragging();
+        this.updateSliderColor(); // Update slider to yellow
+        
+        // Update Step 2 image if it exists
+        this.updateStep2Image(imageSrc);
+        
+        console.log(`Selected image: ${imageName}`);
+    }
+    
+    setupImageUpload(uploadBox) {
+        const fileInput = document.getElementById('image-upload-input');
+        if (!uploadBox || !fileInput) return;
+        
+        uploadBox.addEventListener('click', () => {
+            fileInput.click();
+        });
+        
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (file) this.handleImageFile(file);
+            fileInput.value = ''; // allow picking the same file again
+        });
+        
+        // Drag-and-drop onto the upload box
+        uploadBox.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            uploadBox.classList.add('drag-over');
+        });
+        uploadBox.addEventListener('dragleave', () => {
+            uploadBox.classList.remove('drag-over');
+        });
+        uploadBox.addEventListener('drop', (e) => {
+            e.preventDefault();
+            uploadBox.classList.remove('drag-over');
+            const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+            if (file) this.handleImageFile(file);
+        });
+        
+        // Clipboard paste while Step 1 is open
+        document.addEventListener('paste', (e) => {
+            const slider = document.getElementById('step-slider');
+            if (!slider || slider.classList.contains('hidden') || this.currentStep !== 1) return;
+            const items = (e.clipboardData && e.clipboardData.items) || [];
+            for (const item of items) {
+                if (item.kind === 'file' && item.type.startsWith('image/')) {
+                    e.preventDefault();
+                    this.handleImageFile(item.getAsFile());
+                    return;
+                }
             }
         });
     }
     
+    async handleImageFile(file) {
+        const error = this.validateImageFile(file);
+        if (error) {
+            this.showUploadError(error);
+            return;
+        }
+        this.showUploadError(null);
+        
+        try {
+            const blob = await this.downscaleImage(file);
+            this.addUploadedThumbnail(blob, file.name || 'pasted-image');
+        } catch (err) {
+            console.error('Error reading uploaded image:', err);
+            this.showUploadError('That image could not be read. Please try another file.');
+        }
+    }
+    
+    validateImageFile(file) {
+        if (!file) return 'No image found.';
+        if (!this.acceptedImageTypes.includes(file.type)) {
+            return 'Please choose a JPEG, PNG, WebP or GIF image.';
+        }
+        if (file.size > this.maxUploadBytes) {
+            const maxMb = Math.round(this.maxUploadBytes / (1024 * 1024));
+            return `Image is too large (max ${maxMb} MB).`;
+        }
+        return null;
+    }
+    
+    downscaleImage(file) {
+        // Resize photos whose longest edge exceeds maxImageDimension; smaller images pass through untouched
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const longest = Math.max(image.naturalWidth, image.naturalHeight);
+                if (longest <= this.maxImageDimension) {
+                    resolve(file);
+                    return;
+                }
+                
+                const ratio = this.maxImageDimension / longest;
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * ratio);
+                canvas.height = Math.round(image.naturalHeight * ratio);
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+                
+                const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+                canvas.toBlob((blob) => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Canvas export failed'));
+                    }
+                }, type, 0.9);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image decode failed'));
+            };
+            image.src = url;
+        });
+    }
+    
+    addUploadedThumbnail(blob, name, uploadId = this.sessionStore.createId()) {
+        const bottomImages = document.querySelector('.bottom-images');
+        if (!bottomImages) return;
+        
+        this.uploadCount++;
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'image-thumbnail uploaded';
+        thumbnail.dataset.image = name;
+        thumbnail.dataset.uploadId = uploadId;
+        this.uploadedImages[uploadId] = blob; // kept for saved sessions
+        this.makeThumbnailOperable(thumbnail);
+        
+        const badge = document.createElement('span');
+        badge.className = 'thumbnail-badge';
+        badge.textContent = String(bottomImages.querySelectorAll('.image-thumbnail').length + 1);
+        
+        const img = document.createElement('img');
+        img.src = URL.createObjectURL(blob);
+        img.alt = `Uploaded image ${this.uploadCount}`;
+        
+        thumbnail.appendChild(badge);
+        thumbnail.appendChild(img);
+        bottomImages.appendChild(thumbnail);
+        
+        this.selectThumbnail(thumbnail);
+        return thumbnail;
+    }
+    
+    showUploadError(message) {
+        const errorEl = document.getElementById('upload-error');
+        if (!errorEl) return;
+        if (message) {
+            errorEl.textContent = message;
+            errorEl.classList.remove('hidden');
+            console.warn('Upload rejected:', message);
+        } else {
+            errorEl.textContent = '';
+            errorEl.classList.add('hidden');
+        }
+    }
+    
     enableSliderDragging() {
         // Only enable if image is selected and not already enabled
         if (!this.imageSelected || this.sliderDragEnabled) return;
@@ -1086,6 +2269,7 @@ class Scene3D {
             
             isDragging = true;
             this.isUserSliding = true;
+            this.beginDragHistory();
             e.preventDefault();
             e.stopPropagation();
             
@@ -1133,10 +2317,11 @@ class Scene3D {
             // Update slider visibility
             this.updateSliderVisibility();
             
-            // If Step 3 is now visible and we have a selected design option, update images
-            if (this.currentStep === 3 && this.selectedDesignOption) {
-                this.updateStep3Images(this.selectedDesignOption);
+            // If Step 3 is now visible and we already have candidates, show them
+            if (this.currentStep === 3 && this.session.candidates) {
+                this.updateStep3Images(this.session.candidates);
             }
+            this.endDragHistory();
             
             // Reset cursors
             allHandles.forEach(handle => {
@@ -1179,14 +2364,22 @@ class Scene3D {
         }
         
         // Only update if step actually changed (prevents unnecessary updates)
-        if (newStep !== this.currentStep) {
+        const stepChanged = newStep !== this.currentStep;
+        if (stepChanged) {
             this.currentStep = newStep;
             
             // If Step 3 is now visible, ensure images are loaded
             if (newStep === 3) {
-                // Use selected design option or default to option 1
-                const optionToLoad = this.selectedDesignOption || 1;
-                this.updateStep3Images(optionToLoad);
+                if (this.session.candidates) {
+                    this.updateStep3Images(this.session.candidates);
+                } else {
+                    this.requestDesigns();
+                }
+            }
+            
+            // Reaching Step 4 by dragging finalizes whatever is in the main Step 3 slot
+            if (newStep === 4 && !this.session.finalDesign) {
+                this.finalizeDesign();
             }
             
             // Update step indicator
@@ -1194,13 +2387,7 @@ class Scene3D {
             const stepTitleEl = document.getElementById('step-top-left-title');
             if (stepNumEl && stepTitleEl) {
                 stepNumEl.textContent = String(this.currentStep);
-                const titles = {
-                    1: 'Select Image',
-                    2: 'Design Prompt',
-                    3: 'Choose Design',
-                    4: 'Get it ready'
-                };
-                stepTitleEl.textContent = titles[this.currentStep] || '';
+                stepTitleEl.textContent = this.stepTitles[this.currentStep] || '';
             }
 
             const topLeft = document.querySelector('.step-top-left');
@@ -1214,6 +2401,45 @@ class Scene3D {
         }
 
         this.updateActiveSlideClasses();
+        if (stepChanged) {
+            this.updateStepAccessibility();
+            this.updateHistory(true); // only replaces while a drag is in progress, see beginDragHistory()
+        }
+    }
+    
+    // Only the current step is reachable by keyboard and screen readers. Focus left
+    // behind on another step follows to the new one; otherwise the change is announced.
+    updateStepAccessibility(focusStep = false) {
+        const focused = document.activeElement;
+        let currentSlide = null;
+        let focusLeftBehind = !focused || focused === document.body;
+        document.querySelectorAll('.step-slide').forEach((slide) => {
+            const isCurrent = parseInt(slide.dataset.step) === this.currentStep;
+            if (isCurrent) {
+                currentSlide = slide;
+            } else if (slide.contains(focused)) {
+                focusLeftBehind = true;
+            }
+            slide.inert = !isCurrent;
+            slide.setAttribute('aria-current', isCurrent ? 'step' : 'false');
+        });
+        
+        if (!this.isStepSliderOpen() || !currentSlide) return;
+        if (focusStep || focusLeftBehind) {
+            currentSlide.focus({ preventScroll: true }); // its label names the step
+        } else {
+            this.announce(currentSlide.getAttribute('aria-label'));
+        }
+    }
+    
+    announce(message) {
+        const announcer = document.getElementById('step-announcer');
+        if (!announcer) return;
+        // Clear first so repeating the same message is read again
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
     }
 
     updateActiveSlideClasses() {
@@ -1228,23 +2454,23 @@ class Scene3D {
         });
     }
 
-    applyStepComposition() {
+    applyStepComposition(step = this.currentStep) {
         // Active step composition:
         // Step 1/4 (edge): 70% current + 30% adjacent
         // Step 2/3 (middle): 15% prev + 70% current + 15% next
-        if (this.currentStep === 1) {
+        if (step === 1) {
             this.boundaries['1-2'] = 70;
             this.boundaries['2-3'] = 100;
             this.boundaries['3-4'] = 100;
-        } else if (this.currentStep === 2) {
+        } else if (step === 2) {
             this.boundaries['1-2'] = 15;
             this.boundaries['2-3'] = 85;
             this.boundaries['3-4'] = 100;
-        } else if (this.currentStep === 3) {
+        } else if (step === 3) {
             this.boundaries['1-2'] = 0;
             this.boundaries['2-3'] = 15;
             this.boundaries['3-4'] = 85;
-        } else if (this.currentStep === 4) {
+        } else if (step === 4) {
             this.boundaries['1-2'] = 0;
             this.boundaries['2-3'] = 0;
             this.boundaries['3-4'] = 30;
@@ -1270,70 +2496,178 @@ class Scene3D {
     }
     
     setupStep2Interactions() {
-        // Handle design option clicks
+        // Called from both setupNavDots() and showStepSlider(); only bind once
+        if (this.step2InteractionsReady) return;
+        this.step2InteractionsReady = true;
+        
+        // Suggestion chips fill the prompt as an editable starting point
         const options = document.querySelectorAll('.step-2-option');
         const designInput = document.getElementById('design-input');
         
         options.forEach((option, index) => {
             option.addEventListener('click', () => {
                 // Remove selected class from all options
-                options.forEach(opt => opt.classList.remove('selected'));
+                options.forEach(opt => {
+                    opt.classList.remove('selected');
+                    opt.setAttribute('aria-pressed', 'false');
+                });
                 
                 // Add selected class to clicked option
                 option.classList.add('selected');
+                option.setAttribute('aria-pressed', 'true');
                 
-                // Update input field with selected option text
+                // Put the suggestion in the input so the user can refine it
                 if (designInput) {
                     const optionText = option.dataset.option || option.textContent.trim();
                     designInput.value = optionText;
+                    designInput.focus();
+                    designInput.setSelectionRange(optionText.length, optionText.length);
                 }
                 
-                // Store selected design option (1, 2, or 3)
                 this.selectedDesignOption = index + 1;
-                console.log(`Selected design option: ${this.selectedDesignOption}`);
-                
-                // Update Step 3 images when option is selected
-                this.updateStep3Images(this.selectedDesignOption);
-                this.updateStep2Draggers();
+                console.log(`Selected design suggestion: ${this.selectedDesignOption}`);
             });
         });
         
-        // Handle arrow button click (if needed for future functionality)
+        if (designInput) {
+            // Editing away from a suggestion deselects its chip
+            designInput.addEventListener('input', () => {
+                const text = designInput.value.trim();
+                options.forEach((opt, index) => {
+                    const optionText = opt.dataset.option || opt.textContent.trim();
+                    const matches = optionText === text;
+                    opt.classList.toggle('selected', matches);
+                    opt.setAttribute('aria-pressed', String(matches));
+                    if (matches) {
+                        this.selectedDesignOption = index + 1;
+                    } else if (this.selectedDesignOption === index + 1) {
+                        this.selectedDesignOption = null;
+                    }
+                });
+            });
+            
+            // Enter submits the prompt
+            designInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submitPrompt();
+                }
+            });
+        }
+        
+        // Handle arrow button click: submit the current prompt
         const arrowButton = document.getElementById('design-arrow-btn');
         if (arrowButton) {
             arrowButton.addEventListener('click', () => {
-                console.log('Design arrow button clicked');
-                // Add functionality here if needed
+                this.submitPrompt();
             });
         }
     }
+    
+    submitPrompt() {
+        const designInput = document.getElementById('design-input');
+        const prompt = designInput ? designInput.value.trim() : '';
+        if (!prompt) {
+            if (designInput) designInput.focus();
+            return;
+        }
+        
+        this.session.prompt = prompt;
+        this.updateStep2Draggers();
+        this.updateHistory();
+        this.requestDesigns();
+        console.log(`Submitted design prompt: ${prompt}`);
+    }
+    
+    async requestDesigns() {
+        const image = this.session.sourceImage;
+        if (!image) {
+            console.warn('Cannot generate designs without a selected source image');
+            return;
+        }
+        
+        const prompt = this.session.prompt;
+        const requestId = ++this.generationId;
+        const optionsContainer = document.getElementById('step-3-options');
+        if (optionsContainer) {
+            optionsContainer.classList.add('is-generating');
+            optionsContainer.setAttribute('aria-busy', 'true');
+        }
+        const errorBox = document.getElementById('step-3-error');
+        if (errorBox) errorBox.classList.add('hidden'); // a retry shows the spinner alone
+        
+        try {
+            const result = await this.designProvider.generate({ image, prompt, count: 3 });
+            if (requestId !== this.generationId) return; // a newer request replaced this one
+            
+            this.session.candidates = { prompt, images: result.images };
+            this.updateStep3Images(this.session.candidates);
+            this.scheduleSessionSave();
+        } catch (error) {
+            if (requestId !== this.generationId) return;
+            console.error('Design generation failed:', error);
+            this.showGenerationError(prompt, error);
+            this.scheduleSessionSave();
+        } finally {
+            if (requestId === this.generationId && optionsContainer) {
+                optionsContainer.classList.remove('is-generating');
+                optionsContainer.setAttribute('aria-busy', 'false');
+            }
+        }
+    }
 
+    // Candidates from an earlier prompt are cleared, so they are never taken for this result
+    showGenerationError(prompt, error) {
+        this.session.candidates = null;
+        document.querySelectorAll('.step-3-option-img').forEach((img) => {
+            img.setAttribute('src', '');
+            img.style.display = 'none';
+        });
+        const promptEl = document.getElementById('step-3-prompt');
+        if (promptEl) promptEl.textContent = prompt ? `\u201c${prompt}\u201d` : '';
+        
+        const optionsContainer = document.getElementById('step-3-options');
+        const errorBox = document.getElementById('step-3-error');
+        const message = document.getElementById('step-3-error-message');
+        if (optionsContainer) optionsContainer.classList.add('has-error');
+        if (message) message.textContent = `The designs could not be generated (${error.message || error}). Check your connection and try again.`;
+        if (errorBox) errorBox.classList.remove('hidden');
+    }
+    
+    clearGenerationError() {
+        const optionsContainer = document.getElementById('step-3-options');
+        const errorBox = document.getElementById('step-3-error');
+        if (optionsContainer) optionsContainer.classList.remove('has-error');
+        if (errorBox) errorBox.classList.add('hidden');
+    }
+    
     updateStep2Draggers() {
         const slider = document.getElementById('step-slider');
         if (!slider) return;
-        if (this.selectedDesignOption) {
+        if (this.session.prompt) {
             slider.classList.add('design-selected');
         } else {
             slider.classList.remove('design-selected');
         }
     }
     
-    updateStep3Images(optionNumber) {
-        // optionNumber: 1, 2, or 3
-        const imageSet = {
-            1: ['Assets/op1_1.png', 'Assets/op1_2.png', 'Assets/op1_3.png'],
-            2: ['Assets/op2_1.png', 'Assets/op2_2.png', 'Assets/op2_3.png'],
-            3: ['Assets/op3_1.png', 'Assets/op3_2.jpg', 'Assets/op3_3.png']
-        };
-        
-        const images = imageSet[optionNumber];
-        if (!images) {
-            console.warn(`No image set found for option ${optionNumber}`);
+    updateStep3Images(candidates) {
+        // candidates: { prompt, images } from the design provider (top, main, bottom)
+        const images = candidates && candidates.images;
+        if (!images || images.length === 0) {
+            console.warn('No candidate images to show in Step 3');
             return;
         }
+        this.clearGenerationError();
+        
+        // Show which prompt produced these candidates
+        const promptEl = document.getElementById('step-3-prompt');
+        if (promptEl) {
+            promptEl.textContent = candidates.prompt ? `\u201c${candidates.prompt}\u201d` : 'Suggested designs';
+        }
         
         const optionElements = document.querySelectorAll('.step-3-option');
-        console.log(`Updating Step 3 images for option ${optionNumber}, found ${optionElements.length} option elements`);
+        console.log(`Updating Step 3 images with ${images.length} candidates, found ${optionElements.length} option elements`);
         
         if (optionElements.length >= 3) {
             // Top thumbnail (index 0)
@@ -1374,6 +2708,14 @@ class Scene3D {
     }
     
     setupStep3Interactions() {
+        const retry = document.getElementById('step-3-retry');
+        if (retry) {
+            retry.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.requestDesigns();
+            });
+        }
+        
         // Handle arrow click to finalize design and go to Step 4
         const finalizeArrow = document.getElementById('step-3-finalize-arrow');
         if (finalizeArrow) {
@@ -1393,7 +2735,10 @@ class Scene3D {
                 // Update current step
                 this.currentStep = 4;
                 this.updateCurrentStepFromBoundaries();
+                this.updateStepAccessibility(); // set directly, so not seen as a change above
                 
+                this.finalizeDesign();
+                this.updateHistory(true);
                 console.log('Finalized design, moved to Step 4');
             });
         }
@@ -1422,72 +2767,721 @@ class Scene3D {
         });
     }
     
-    slideToNextStep() {
-        const slides = document.querySelectorAll('.step-slide');
-        const totalSteps = slides.length;
+    setupStep4Interactions() {
+        // Unit system toggle next to the Step 4 title
+        const unitButtons = document.querySelectorAll('.unit-toggle-option');
+        const syncUnitButtons = () => {
+            unitButtons.forEach(button => {
+                const active = button.dataset.units === this.units;
+                button.classList.toggle('selected', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+        };
         
-        if (this.currentStep < totalSteps) {
-            // Move current slide to previous
-            const currentSlide = document.querySelector(`.step-slide[data-step="${this.currentStep}"]`);
-            currentSlide.classList.remove('active');
-            currentSlide.classList.add('prev');
-            
-            // Move next slide to active
-            this.currentStep++;
-            const nextSlide = document.querySelector(`.step-slide[data-step="${this.currentStep}"]`);
-            nextSlide.classList.remove('next');
-            nextSlide.classList.add('active');
-            
-            // Update progress line
-            this.updateProgressLine();
-            
-            console.log(`Slided to step ${this.currentStep}`);
+        unitButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (button.dataset.units === this.units) return;
+                this.units = button.dataset.units;
+                this.savePreference('redo.units', this.units);
+                syncUnitButtons();
+                this.syncGuideSizeInput();
+                this.syncSheetSizeInputs();
+                this.showGuide();
+            });
+        });
+        syncUnitButtons();
+        
+        // 3D preview controls; clicks stay out of the background scene's model picking
+        const preview = document.getElementById('design-preview');
+        if (preview) {
+            preview.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const button = e.target.closest('.design-preview-button');
+                if (!button || !this.designPreview) return;
+                if (button.dataset.previewAction === 'assembly') {
+                    this.setPreviewMode(this.previewMode === 'assembly' ? 'model' : 'assembly');
+                } else if (this.assembly && (button.dataset.previewAction === 'prev' || button.dataset.previewAction === 'next')) {
+                    this.goToAssemblyStep(this.assembly.step + (button.dataset.previewAction === 'next' ? 1 : -1));
+                } else if (button.dataset.previewAction === 'reset') {
+                    this.designPreview.resetView();
+                } else if (button.dataset.previewAction === 'export') {
+                    this.openExportPanel('preview');
+                } else if (button.dataset.previewAction === 'ar') {
+                    this.openArPanel();
+                } else if (button.dataset.previewAction === 'turntable') {
+                    const enabled = button.getAttribute('aria-pressed') !== 'true';
+                    button.setAttribute('aria-pressed', String(enabled));
+                    this.designPreview.setTurntable(enabled);
+                }
+            });
+        }
+        
+        // Cut pattern downloads (buttons are rendered with the guide)
+        const guideEl = document.getElementById('step-4-guide');
+        if (guideEl) {
+            guideEl.addEventListener('click', (e) => {
+                // Clicking an assembly phase jumps the 3D step-through to it
+                const phase = e.target.closest('.guide-phase');
+                if (phase && this.designPreview && this.session.finalDesign) {
+                    e.stopPropagation();
+                    this.setPreviewMode('assembly');
+                    this.goToAssemblyStep(parseInt(phase.dataset.phase) + 1);
+                    return;
+                }
+                
+                const button = e.target.closest('.guide-export-button');
+                if (!button) return;
+                e.stopPropagation();
+                this.exportCutPatterns(button.dataset.export, button.dataset.module ? parseInt(button.dataset.module) : null);
+            });
+        }
+        
+        // Resize the guide to a target overall height or seat height
+        const sizeTarget = document.getElementById('guide-size-target');
+        const sizeValue = document.getElementById('guide-size-value');
+        if (sizeTarget && sizeValue) {
+            sizeTarget.addEventListener('change', () => {
+                this.guideSize.target = sizeTarget.value;
+                this.guideSize.mm = null; // start from the design's own value for the new target
+                this.syncGuideSizeInput();
+                this.showGuide();
+            });
+            sizeValue.addEventListener('change', () => {
+                const value = parseFloat(sizeValue.value);
+                if (!value || value <= 0) {
+                    this.syncGuideSizeInput();
+                    return;
+                }
+                this.guideSize.mm = this.units === 'metric' ? value : value * Units.MM_PER_INCH;
+                this.showGuide();
+            });
         }
+        
+        // Stock sheet size used for nesting the cut list
+        ['guide-sheet-width', 'guide-sheet-height'].forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const width = parseFloat(document.getElementById('guide-sheet-width').value);
+                const height = parseFloat(document.getElementById('guide-sheet-height').value);
+                if (!width || !height || width <= 0 || height <= 0) {
+                    this.syncSheetSizeInputs();
+                    return;
+                }
+                const toMm = value => Math.round(this.units === 'metric' ? value : value * Units.MM_PER_INCH);
+                this.sheetSize = { width: toMm(width), height: toMm(height) };
+                this.savePreference('redo.sheet', `${this.sheetSize.width}x${this.sheetSize.height}`);
+                this.showGuide();
+            });
+        });
     }
     
-    slideToPrevStep() {
-        const slides = document.querySelectorAll('.step-slide');
+    parseSheetSize(value) {
+        const match = /^(\d+)x(\d+)$/.exec(value || '');
+        return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : null;
+    }
+    
+    syncSheetSizeInputs(guide) {
+        const widthInput = document.getElementById('guide-sheet-width');
+        const heightInput = document.getElementById('guide-sheet-height');
+        const unit = document.getElementById('guide-sheet-unit');
+        if (!widthInput || !heightInput) return;
+        if (unit) unit.textContent = this.units === 'metric' ? 'mm' : 'in';
+        
+        const sheet = this.sheetSize || (guide && GuideScale.sheetFor(guide));
+        if (!sheet) return;
+        const display = mm => (this.units === 'metric' ? String(Math.round(mm)) : String(Math.round(mm / Units.MM_PER_INCH * 10) / 10));
+        widthInput.value = display(sheet.width);
+        heightInput.value = display(sheet.height);
+    }
+    
+    exportCutPatterns(format, moduleNumber) {
+        const guide = this.displayedGuide;
+        if (!guide) return;
+        
+        const modules = moduleNumber ? guide.modules.filter(module => module.number === moduleNumber) : guide.modules;
+        const parts = [];
+        modules.forEach(module => parts.push(...(module.parts || [])));
+        if (parts.length === 0) return;
+        
+        const name = moduleNumber ? `${guide.id}-module-${moduleNumber}` : `${guide.id}-all-modules`;
+        const title = moduleNumber ? `${guide.title} - Module ${moduleNumber}` : guide.title;
+        if (format === 'dxf') {
+            this.downloadFile(`${name}.dxf`, CutPatterns.toDXF(parts), 'application/dxf');
+        } else {
+            this.downloadFile(`${name}.svg`, CutPatterns.toSVG(parts, { title }), 'image/svg+xml');
+        }
+    }
+    
+    setupExportPanel() {
+        const form = document.getElementById('export-form');
+        const cancel = document.getElementById('export-cancel');
+        const cloudButton = document.getElementById('camera-export');
+        if (!form) return;
+        
+        if (cloudButton) {
+            cloudButton.addEventListener('click', () => this.openExportPanel('cloud'));
+        }
+        // Turntable settings only matter for the animated formats
+        const syncFields = () => {
+            form.querySelectorAll('.export-turntable-field').forEach((field) => {
+                field.hidden = form.elements.format.value === 'png';
+            });
+        };
+        form.elements.format.addEventListener('change', syncFields);
+        syncFields();
         
-        if (this.currentStep > 1) {
-            // Move current slide to next
-            const currentSlide = document.querySelector(`.step-slide[data-step="${this.currentStep}"]`);
-            currentSlide.classList.remove('active');
-            currentSlide.classList.add('next');
-            
-            // Move previous slide to active
-            this.currentStep--;
-            const prevSlide = document.querySelector(`.step-slide[data-step="${this.currentStep}"]`);
-            prevSlide.classList.remove('prev');
-            prevSlide.classList.add('active');
-            
-            // Update progress line
-            this.updateProgressLine();
-            
-            console.log(`Slided back to step ${this.currentStep}`);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.exportJob) this.runExport();
+        });
+        if (cancel) {
+            cancel.addEventListener('click', () => this.closeExportPanel());
         }
+        // Clicks stay out of the background scene's model picking
+        document.getElementById('export-panel').addEventListener('click', e => e.stopPropagation());
     }
     
-    slideToStep(targetStep) {
-        if (targetStep === this.currentStep) return;
+    isExportPanelOpen() {
+        const panel = document.getElementById('export-panel');
+        return !!panel && !panel.classList.contains('hidden');
+    }
+    
+    // `source` is 'cloud' (the landing page scene) or 'preview' (the Step 4 viewer)
+    openExportPanel(source) {
+        const panel = document.getElementById('export-panel');
+        const form = document.getElementById('export-form');
+        if (!panel || !form || this.exportJob) return;
+        
+        this.stopTour();
+        this.exportSource = source;
+        this.exportReturnFocus = document.activeElement;
+        document.getElementById('export-title').textContent = source === 'preview' ? 'Export 3D preview' : 'Export scene';
+        form.elements.format.querySelector('[value="webm"]').disabled = !SceneCapture.supportsWebM();
+        if (form.elements.format.value === 'webm' && !SceneCapture.supportsWebM()) {
+            form.elements.format.value = 'png';
+            form.elements.format.dispatchEvent(new Event('change'));
+        }
+        this.setExportStatus('');
+        panel.classList.remove('hidden');
+        panel.inert = false;
+        form.elements.format.focus();
+    }
+    
+    // Also cancels an export in progress
+    closeExportPanel() {
+        const panel = document.getElementById('export-panel');
+        if (!panel) return;
+        if (this.exportJob) this.exportJob.abort.abort();
+        panel.classList.add('hidden');
+        panel.inert = true;
+        
+        const returnFocus = this.exportReturnFocus;
+        this.exportReturnFocus = null;
+        if (returnFocus && returnFocus !== document.body && returnFocus.isConnected) {
+            returnFocus.focus({ preventScroll: true });
+        }
+    }
+    
+    setExportStatus(message) {
+        const status = document.getElementById('export-status');
+        if (status) status.textContent = message;
+    }
+    
+    async runExport() {
+        const form = document.getElementById('export-form');
+        const start = document.getElementById('export-start');
+        const [width, height] = form.elements.size.value.split('x').map(Number);
+        const options = {
+            format: form.elements.format.value,
+            width,
+            height,
+            transparent: form.elements.transparent.checked,
+            fps: parseInt(form.elements.fps.value) || 30,
+            seconds: Math.min(Math.max(parseFloat(form.elements.seconds.value) || 6, 1), 30),
+            onProgress: (done, total) => this.setExportStatus(`Rendering frame ${done} of ${total}...`)
+        };
         
-        const slides = document.querySelectorAll('.step-slide');
+        // Checked again by SceneCapture.turntable(); here it stops before anything renders
+        const frames = Math.round(options.fps * options.seconds);
+        const maxFrames = SceneCapture.maxSequenceFrames(width, height);
+        if (options.format === 'png-sequence' && frames > maxFrames) {
+            this.setExportStatus(`A ${width} x ${height} PNG sequence can have at most ${maxFrames} frames (this one has ${frames}). ` +
+                'Shorten it, lower the size or frame rate, or export WebM.');
+            return;
+        }
         
-        // Reset all slides
-        slides.forEach(slide => {
-            slide.classList.remove('active', 'prev', 'next');
-            const stepNum = parseInt(slide.dataset.step);
-            
-            if (stepNum === targetStep) {
-                slide.classList.add('active');
-            } else if (stepNum < targetStep) {
-                slide.classList.add('prev');
+        const job = { source: this.exportSource, abort: new AbortController() };
+        options.signal = job.abort.signal;
+        this.exportJob = job;
+        if (start) start.disabled = true;
+        this.setExportStatus('Rendering...');
+        
+        try {
+            const blob = job.source === 'preview' ? await this.exportPreviewView(options) : await this.exportCloudView(options);
+            const extension = { png: 'png', webm: 'webm', 'png-sequence': 'zip' }[options.format];
+            const kind = options.format === 'png' ? `${width}x${height}` : 'turntable';
+            this.downloadFile(`redo-${job.source === 'preview' ? 'design' : 'scene'}-${kind}.${extension}`, blob);
+            this.setExportStatus(`Saved (${(blob.size / 1048576).toFixed(1)} MB).`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.setExportStatus('Export cancelled.');
             } else {
-                slide.classList.add('next');
+                console.error('Export failed:', error);
+                this.setExportStatus(`Export failed: ${error.message}`);
+            }
+        } finally {
+            this.exportJob = null;
+            if (start) start.disabled = false;
+        }
+    }
+    
+    exportPreviewView(options) {
+        if (!this.designPreview) return Promise.reject(new Error('There is no 3D preview to export yet'));
+        return this.designPreview.exportView(options);
+    }
+    
+    // The model cloud as it stands: floating motion and auto-rotation pause meanwhile
+    async exportCloudView(options) {
+        this.capturing = true;
+        this.updateLoopState();
+        try {
+            if (options.format === 'png') return await this.sceneCapture.snapshot(options);
+            return await this.sceneCapture.turntable(Object.assign({ target: this.controls.target }, options));
+        } finally {
+            this.capturing = false;
+            this.updateLoopState();
+        }
+    }
+    
+    setupArPanel() {
+        const panel = document.getElementById('ar-panel');
+        if (!panel) return;
+        panel.addEventListener('click', async (e) => {
+            e.stopPropagation(); // stay out of the background scene's model picking
+            const button = e.target.closest('[data-ar-action]');
+            if (!button) return;
+            const action = button.dataset.arAction;
+            if (action === 'close') {
+                this.closeArPanel();
+                return;
+            }
+            
+            button.disabled = true;
+            try {
+                if (action === 'copy-link') {
+                    await navigator.clipboard.writeText(document.getElementById('ar-link').href);
+                    this.setArStatus('Link copied.');
+                } else if (action === 'copy-markup') {
+                    await navigator.clipboard.writeText(document.getElementById('ar-markup').value);
+                    this.setArStatus('Markup copied.');
+                } else if (action === 'glb') {
+                    await this.downloadDesignGlb();
+                } else if (action === 'usdz') {
+                    await this.exportDesignUsdz();
+                }
+            } catch (error) {
+                console.error(`AR hand-off ${action} failed:`, error);
+                this.setArStatus(`Could not ${button.textContent.toLowerCase()}: ${error.message}`);
+            } finally {
+                button.disabled = false;
             }
         });
+    }
+    
+    isArPanelOpen() {
+        const panel = document.getElementById('ar-panel');
+        return !!panel && !panel.classList.contains('hidden');
+    }
+    
+    async openArPanel() {
+        const panel = document.getElementById('ar-panel');
+        const finalDesign = this.session.finalDesign;
+        if (!panel || !finalDesign) return;
+        if (!finalDesign.model) {
+            document.getElementById('design-preview-status').textContent = 'A 3D model for this design is not available yet.';
+            return;
+        }
         
-        this.currentStep = targetStep;
-        this.updateProgressLine();
+        this.arReturnFocus = document.activeElement;
+        panel.classList.remove('hidden');
+        panel.inert = false;
+        panel.querySelector('[data-ar-action="close"]').focus();
+        this.setArStatus('Preparing...');
+        
+        // True size needs the model's own height, so the GLB has to be loaded first
+        let scale = 1;
+        try {
+            scale = this.arScale((await this.loadArModel()).model);
+        } catch (error) {
+            console.warn('AR hand-off without real-world scale:', error);
+        }
+        const title = this.finalDesignTitle();
+        const url = ArHandoff.viewerUrl(document.baseURI, { model: finalDesign.model, title, scale });
+        
+        const link = document.getElementById('ar-link');
+        link.href = url;
+        document.getElementById('ar-markup').value = ArHandoff.modelViewerMarkup({
+            src: new URL(finalDesign.model, document.baseURI).href,
+            alt: title,
+            scale
+        });
+        
+        const qr = document.getElementById('ar-qr');
+        if (typeof qrcode === 'function') {
+            const code = qrcode(0, 'M'); // type 0 = smallest that fits
+            code.addData(url);
+            code.make();
+            qr.innerHTML = code.createSvgTag({ cellSize: 4, margin: 4, scalable: true, alt: `QR code linking to ${title} in AR` });
+        } else {
+            qr.textContent = 'QR code unavailable; use the link below.';
+        }
+        this.setArStatus(scale === 1 ? '' : 'Shown at the size in the build guide.');
+    }
+    
+    closeArPanel() {
+        const panel = document.getElementById('ar-panel');
+        if (!panel) return;
+        panel.classList.add('hidden');
+        panel.inert = true;
+        
+        const returnFocus = this.arReturnFocus;
+        this.arReturnFocus = null;
+        if (returnFocus && returnFocus !== document.body && returnFocus.isConnected) {
+            returnFocus.focus({ preventScroll: true });
+        }
+    }
+    
+    setArStatus(message) {
+        const status = document.getElementById('ar-status');
+        if (status) status.textContent = message;
+    }
+    
+    finalDesignTitle() {
+        const candidateId = this.session.finalDesign && this.session.finalDesign.candidateId;
+        const design = this.catalog.designs.find(entry => entry.candidates.some(candidate => candidate.id === candidateId));
+        return design ? design.name : (this.session.prompt || 'Cardboard design');
+    }
+    
+    // The Step 4 preview's GLB while it is showing, otherwise a separate copy
+    // (the assembly view replaces it in the viewer)
+    async loadArModel() {
+        const url = new URL(this.session.finalDesign.model, document.baseURI).href;
+        if (this.designPreview && this.previewMode === 'model' && this.designPreview.modelUrl === url && this.designPreview.model) {
+            return { url, model: this.designPreview.model };
+        }
+        if (!this.arModel || this.arModel.url !== url) {
+            const gltf = await this.loadModel(this.modelLoader, url);
+            this.arModel = { url, model: gltf.scene };
+        }
+        return this.arModel;
+    }
+    
+    // Factor that brings `model` to the height in the design's (resized) guide, in
+    // metres as AR viewers expect; 1 when the guide or model height is unknown
+    arScale(model) {
+        const finalDesign = this.session.finalDesign;
+        const guide = finalDesign && this.guideCache[finalDesign.guideId];
+        if (!guide || !model) return 1;
+        const height = this.getDisplayGuide(guide).dimensions.find(dim => dim.label === GuideScale.TARGETS.height);
+        const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+        if (!height || !(size.y > 0)) return 1;
+        return height.mm / 1000 / size.y;
+    }
+    
+    arFileName(extension) {
+        const slug = this.finalDesignTitle().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'design';
+        return `redo-${slug}.${extension}`;
+    }
+    
+    async downloadDesignGlb() {
+        const response = await fetch(this.session.finalDesign.model);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.downloadFile(this.arFileName('glb'), await response.blob());
+        this.setArStatus('GLB saved.');
+    }
+    
+    // USDZ for iOS Quick Look, via THREE.USDZExporter: at real size, standing on the
+    // origin. The exporter reads world matrices, so it gets a scaled wrapper group.
+    async exportDesignUsdz() {
+        if (!THREE.USDZExporter || typeof fflate === 'undefined') {
+            throw new Error('the USDZ exporter is not loaded');
+        }
+        this.setArStatus('Exporting USDZ...');
+        const { model } = await this.loadArModel();
+        const copy = model.clone();
+        const box = new THREE.Box3().setFromObject(copy);
+        const center = box.getCenter(new THREE.Vector3());
+        copy.position.x -= center.x;
+        copy.position.z -= center.z;
+        copy.position.y -= box.min.y;
+        
+        const root = new THREE.Group();
+        root.scale.setScalar(this.arScale(model));
+        root.add(copy);
+        root.updateMatrixWorld(true);
+        const data = await new THREE.USDZExporter().parse(root);
+        this.downloadFile(this.arFileName('usdz'), new Blob([data], { type: 'model/vnd.usdz+zip' }));
+        this.setArStatus('USDZ saved.');
+    }
+    
+    downloadFile(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    getDisplayGuide(guide) {
+        // Apply the user's resize target and sheet stock; the cached guide stays as loaded
+        const { target, mm } = this.guideSize;
+        const scaled = target === 'original' || !mm ? guide : GuideScale.scaleGuide(guide, GuideScale.scaleFactorFor(guide, target, mm));
+        if (!this.sheetSize) return scaled;
+        return Object.assign({}, scaled, { sheet: Object.assign({}, GuideScale.sheetFor(guide), this.sheetSize) });
+    }
+    
+    syncGuideSizeInput(guide) {
+        const sizeValue = document.getElementById('guide-size-value');
+        const sizeUnit = document.getElementById('guide-size-unit');
+        if (!sizeValue) return;
+        if (sizeUnit) sizeUnit.textContent = this.units === 'metric' ? 'mm' : 'in';
+        
+        const { target } = this.guideSize;
+        sizeValue.disabled = target === 'original';
+        if (target === 'original') {
+            sizeValue.value = '';
+            return;
+        }
+        
+        // Show the current target, or the design's own dimension until the user types one
+        let mm = this.guideSize.mm;
+        if (!mm && guide) {
+            const dimension = guide.dimensions.find(dim => dim.label === GuideScale.TARGETS[target]);
+            mm = dimension ? dimension.mm : null;
+        }
+        if (!mm) return;
+        sizeValue.value = this.units === 'metric' ? String(Math.round(mm)) : (mm / Units.MM_PER_INCH).toFixed(1);
+        sizeValue.step = this.units === 'metric' ? '1' : '0.5';
+    }
+    
+    findCandidateByImage(src) {
+        // img.src is absolute, catalog paths are relative to the page
+        for (const design of this.catalog.designs) {
+            for (const candidate of design.candidates) {
+                if (new URL(candidate.image, document.baseURI).href === src) {
+                    return candidate;
+                }
+            }
+        }
+        return null;
+    }
+    
+    finalizeDesign() {
+        const mainImg = document.querySelector('.step-3-main .step-3-option-img');
+        const src = mainImg ? mainImg.src : '';
+        if (!src || !mainImg.getAttribute('src')) {
+            this.session.finalDesign = null;
+            this.showDesignPreview();
+            this.showGuide();
+            return;
+        }
+        
+        const candidate = this.findCandidateByImage(src);
+        this.session.finalDesign = {
+            candidateId: candidate ? candidate.id : null,
+            image: src,
+            model: candidate ? candidate.model || null : null,
+            guideId: candidate ? candidate.guide : null
+        };
+        this.showDesignPreview();
+        this.showGuide();
+    }
+    
+    showDesignPreview() {
+        const wrapper = document.getElementById('design-preview');
+        if (!wrapper) return;
+        const finalDesign = this.session.finalDesign;
+        
+        if (!finalDesign) {
+            wrapper.classList.add('hidden');
+            if (this.designPreview) this.designPreview.clear();
+            return;
+        }
+        
+        wrapper.classList.remove('hidden');
+        if (!this.designPreview) {
+            // Created on first use: a second WebGL context is only worth it once there is a design
+            const status = document.getElementById('design-preview-status');
+            this.designPreview = new DesignPreview(document.getElementById('design-preview-canvas'), {
+                loader: this.modelLoader,
+                onStatus: (message) => {
+                    if (status) status.textContent = message;
+                }
+            });
+        }
+        this.designPreview.resize();
+        this.syncPreviewMode();
+        
+        // The assembly view is built from the guide once showGuide() has it
+        if (this.previewMode === 'assembly') return;
+        this.assembly = null;
+        if (!finalDesign.model) {
+            this.designPreview.clear();
+            document.getElementById('design-preview-status').textContent = 'A 3D model for this design is not available yet.';
+            return;
+        }
+        this.designPreview.load(new URL(finalDesign.model, document.baseURI).href).catch((error) => {
+            // Already reported in the viewer; the build guide is still usable
+            this.reportMissingAsset(finalDesign.model, `Step 4 preview: ${error.message || error}`);
+        });
+    }
+    
+    setPreviewMode(mode) {
+        if (mode === this.previewMode) return;
+        this.previewMode = mode;
+        if (mode === 'assembly') {
+            this.showAssembly(0);
+        } else {
+            this.guideRenderer.highlightPhase(null);
+            this.showDesignPreview();
+        }
+        this.syncPreviewMode();
+    }
+    
+    syncPreviewMode() {
+        const assembly = this.previewMode === 'assembly';
+        const wrapper = document.getElementById('design-preview');
+        const steps = document.getElementById('design-preview-steps');
+        const toggle = document.querySelector('.design-preview-button[data-preview-action="assembly"]');
+        if (wrapper) wrapper.classList.toggle('is-assembly', assembly);
+        if (steps) steps.classList.toggle('hidden', !assembly);
+        if (toggle) toggle.setAttribute('aria-pressed', String(assembly));
+    }
+    
+    showAssembly(step) {
+        if (!this.designPreview || this.previewMode !== 'assembly') return;
+        
+        // Rebuilt whenever the guide is re-rendered, so a resized guide animates at its new size
+        const guide = this.displayedGuide;
+        this.assembly = guide ? new AssemblySequence(guide, { tweens: this.designPreview.tweens }) : null;
+        if (!this.assembly || this.assembly.isEmpty) {
+            this.assembly = null;
+            this.designPreview.clear();
+            document.getElementById('design-preview-status').textContent = 'This guide has no assembly data yet.';
+            return;
+        }
+        this.designPreview.setObject(this.assembly.group);
+        this.assembly.goTo(step, { immediate: true });
+        this.syncAssemblyStep();
+    }
+    
+    goToAssemblyStep(step) {
+        if (!this.assembly) return;
+        this.assembly.goTo(step);
+        this.syncAssemblyStep();
+    }
+    
+    syncAssemblyStep() {
+        const assembly = this.assembly;
+        const label = document.getElementById('design-preview-step');
+        const last = assembly.steps.length - 1;
+        if (label) label.textContent = `${assembly.step}/${last} ${assembly.steps[assembly.step].name}`;
+        document.querySelectorAll('.design-preview-button[data-preview-action="prev"], .design-preview-button[data-preview-action="next"]').forEach(button => {
+            button.disabled = button.dataset.previewAction === 'prev' ? assembly.step === 0 : assembly.step === last;
+        });
+        // Step N is the state after guide phase N - 1 (step 0 is the exploded view)
+        this.guideRenderer.highlightPhase(assembly.step > 0 ? assembly.step - 1 : null);
+    }
+    
+    async loadGuide(guideId) {
+        if (this.guideCache[guideId]) return this.guideCache[guideId];
+        
+        const entry = this.catalog.guides.find(guide => guide.id === guideId);
+        if (!entry) {
+            throw new Error(`Guide ${guideId} is not in the catalog`);
+        }
+        const response = await fetch(entry.file);
+        if (!response.ok) {
+            this.reportMissingAsset(entry.file, `guide ${guideId}: HTTP ${response.status}`);
+            throw new Error(`HTTP ${response.status} loading ${entry.file}`);
+        }
+        this.guideCache[guideId] = await response.json();
+        return this.guideCache[guideId];
+    }
+    
+    async showGuide() {
+        const finalDesign = this.session.finalDesign;
+        if (!finalDesign) {
+            this.displayedGuide = null;
+            this.guideRenderer.renderPlaceholder('Choose a design in Step 3 to see its build guide.');
+            return;
+        }
+        if (!finalDesign.guideId) {
+            this.displayedGuide = null;
+            this.guideRenderer.renderPlaceholder('A build guide for this design is not available yet.');
+            this.showAssembly(0);
+            return;
+        }
+        
+        try {
+            const guide = await this.loadGuide(finalDesign.guideId);
+            if (this.session.finalDesign !== finalDesign) return; // finalized again while loading
+            
+            // An inconsistent guide is not rendered; its errors are listed instead
+            const report = validateGuide(guide);
+            if (!report.valid) {
+                report.errors.forEach(issue => console.warn(`Guide ${guide.id}: ${issue.path}: ${issue.message}`));
+                this.displayedGuide = null;
+                this.guideRenderer.guideId = null;
+                this.guideRenderer.renderErrors(guide, report.errors);
+                this.showAssembly(0);
+                return;
+            }
+            
+            const content = document.querySelector('.step-4-content');
+            const sameGuide = this.guideRenderer.guideId === guide.id;
+            this.syncGuideSizeInput(guide);
+            this.syncSheetSizeInputs(guide);
+            this.displayedGuide = this.getDisplayGuide(guide); // what the user sees, after resizing
+            this.guideRenderer.render(this.displayedGuide, { units: this.units });
+            this.guideRenderer.guideId = guide.id;
+            if (this.previewMode === 'assembly') {
+                this.showAssembly(this.assembly && sameGuide ? this.assembly.step : 0);
+            }
+            
+            // Keep the reading position when only the units changed
+            if (content && !sameGuide) content.scrollTop = 0;
+        } catch (error) {
+            console.error('Error loading build guide:', error);
+            this.guideRenderer.renderPlaceholder('The build guide could not be loaded.');
+        }
+    }
+    
+    slideToNextStep() {
+        this.slideToStep(this.currentStep + 1);
+    }
+    
+    slideToPrevStep() {
+        this.slideToStep(this.currentStep - 1);
+    }
+    
+    // Same layout a drag ending on the target step produces (keyboard and buttons)
+    slideToStep(targetStep) {
+        if (targetStep === this.currentStep || targetStep < 1 || targetStep > 4) return;
+        if (targetStep > 1 && !this.imageSelected) {
+            this.announce('Select or upload an image first.');
+            return;
+        }
+        
+        this.applyStepComposition(targetStep);
+        this.updateCurrentStepFromBoundaries();
+        this.updateSliderVisibility();
         
         console.log(`Slided to step ${this.currentStep}`);
     }
@@ -1562,13 +3556,7 @@ class Scene3D {
         const stepTitleEl = document.getElementById('step-top-left-title');
         if (stepNumEl && stepTitleEl) {
             stepNumEl.textContent = String(activeStep);
-            const titles = {
-                1: 'Select Image',
-                2: 'Design Prompt',
-                3: 'Choose Design',
-                4: 'Get it ready'
-            };
-            stepTitleEl.textContent = titles[activeStep] || '';
+            stepTitleEl.textContent = this.stepTitles[activeStep] || '';
         }
         // Update next step badge (always black with next step number)
         const nextBadge = document.getElementById('next-step-badge');
@@ -1616,35 +3604,111 @@ class Scene3D {
         this.updateContinuousSlider(this.currentStep, false);
     }
     
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    updateLoopState() {
+        // Run only while the model cloud can actually be seen
+        const visible = !document.hidden && !this.isStepSliderOpen() && !this.capturing;
+        if (visible && this.frameId === null) {
+            this.lastFrameTime = 0;
+            this.frameId = requestAnimationFrame((time) => this.animate(time));
+        } else if (!visible && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+            this.updateModelTooltip();
+        }
+    }
+    
+    adaptQuality(time) {
+        // Smoothed frame time; after a pause the first delta is meaningless
+        if (this.lastFrameTime) {
+            const delta = Math.min(time - this.lastFrameTime, 100);
+            this.quality.frameTime += (delta - this.quality.frameTime) * 0.05;
+        }
+        this.lastFrameTime = time;
+        
+        // At most one step every 2 seconds so a change can settle before the next
+        const quality = this.quality;
+        if (time - quality.lastChange < 2000) return;
+        
+        if (quality.frameTime > 25) {
+            // Below ~40 fps: lower the pixel ratio first, then drop shadows
+            if (quality.pixelRatio > quality.minPixelRatio) {
+                quality.pixelRatio = Math.max(quality.minPixelRatio, quality.pixelRatio - 0.25);
+                this.renderer.setPixelRatio(quality.pixelRatio);
+            } else if (quality.shadows) {
+                quality.shadows = false;
+                this.shadowLight.castShadow = false;
+            } else {
+                return;
+            }
+        } else if (quality.frameTime < 14) {
+            // Comfortably above 60 fps: win back what was dropped, in reverse order
+            if (!quality.shadows) {
+                quality.shadows = true;
+                this.shadowLight.castShadow = true;
+            } else if (quality.pixelRatio < quality.maxPixelRatio) {
+                quality.pixelRatio = Math.min(quality.maxPixelRatio, quality.pixelRatio + 0.25);
+                this.renderer.setPixelRatio(quality.pixelRatio);
+            } else {
+                return;
+            }
+        } else {
+            return;
+        }
+        quality.lastChange = time;
+        console.log(`Render quality: pixel ratio ${quality.pixelRatio}, shadows ${quality.shadows ? 'on' : 'off'} (${quality.frameTime.toFixed(1)} ms/frame)`);
+    }
+    
+    resetFloatingMotion() {
+        // Settle every model back on its resting position
+        this.models.forEach((modelData) => {
+            const model = modelData.scene;
+            const motion = model.userData.motion;
+            if (motion) model.position.copy(motion.baseOffset);
+        });
+    }
+    
+    animate(time) {
+        this.frameId = requestAnimationFrame((next) => this.animate(next));
         
         if (!this.isLoading) {
+            const delta = this.lastFrameTime ? Math.min(time - this.lastFrameTime, 100) / 1000 : 0;
+            this.adaptQuality(time);
+            
             const elapsed = this.clock.getElapsedTime();
             const parallaxX = this.pointer.x * this.parallaxStrength;
             const parallaxY = -this.pointer.y * this.parallaxStrength;
             // Update floating orbit motion for all models
-            this.models.forEach((modelData) => {
-                const model = modelData.scene;
-                const motion = model.userData.motion;
-                if (!model || !motion) return;
-                model.position.x = motion.baseOffset.x + Math.sin(elapsed * motion.speed.x + motion.phase.x) * motion.amplitude.x + parallaxX;
-                model.position.y = motion.baseOffset.y + Math.cos(elapsed * motion.speed.y + motion.phase.y) * motion.amplitude.y + parallaxY;
-                model.position.z = motion.baseOffset.z + Math.sin(elapsed * motion.speed.z + motion.phase.z) * motion.amplitude.z;
-                
-                model.rotation.x += 0.002 * motion.rotSpeed.x;
-                model.rotation.y += 0.002 * motion.rotSpeed.y;
-                model.rotation.z += 0.0015 * motion.rotSpeed.z;
-            });
+            if (!this.reducedMotion.matches) {
+                this.models.forEach((modelData) => {
+                    const model = modelData.scene;
+                    const motion = model.userData.motion;
+                    if (!model || !motion) return;
+                    model.position.x = motion.baseOffset.x + Math.sin(elapsed * motion.speed.x + motion.phase.x) * motion.amplitude.x + parallaxX;
+                    model.position.y = motion.baseOffset.y + Math.cos(elapsed * motion.speed.y + motion.phase.y) * motion.amplitude.y + parallaxY;
+                    model.position.z = motion.baseOffset.z + Math.sin(elapsed * motion.speed.z + motion.phase.z) * motion.amplitude.z;
+                    
+                    model.rotation.x += 0.002 * motion.rotSpeed.x;
+                    model.rotation.y += 0.002 * motion.rotSpeed.y;
+                    model.rotation.z += 0.0015 * motion.rotSpeed.z;
+                });
+            }
             
             // Update TWEEN animations
             TWEEN.update();
+            this.cameraRig.update();
+            
+            // Ease hover colour transitions
+            this.highlight.update(delta);
             
             // Update controls
             this.controls.update();
 
-            // Update hover highlight
-            this.updateHoverFromPointer();
+            // Update hover highlight; models drift slowly, so a refresh every 200 ms is enough
+            if (this.pointerMoved || time - this.lastHoverCheck > 200) {
+                this.updateHoverFromPointer();
+                this.pointerMoved = false;
+                this.lastHoverCheck = time;
+            }
             
             // Render
             this.renderer.render(this.scene, this.camera);
@@ -1653,6 +3717,7 @@ class Scene3D {
 }
 
 // Initialize the scene when the page loads
-window.addEventListener('load', () => {
-    window.scene3D = new Scene3D(); // Make it globally accessible
+window.addEventListener('load', async () => {
+    const catalog = await Scene3D.loadCatalog();
+    window.scene3D = new Scene3D(catalog); // Make it globally accessible
 }); 
\ No newline at end of file
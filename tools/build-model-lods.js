@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Build compressed level-of-detail variants of the landing page models.
+//
+//   node tools/build-model-lods.js                # every model listed in data/catalog.json
+//   node tools/build-model-lods.js Assets/1.glb [...]
+//   node tools/build-model-lods.js --ktx2         # also KTX2 texture variants (needs `toktx` on PATH)
+//
+// Each source GLB becomes Assets/lod/<name>.lod<N>.glb: geometry simplified per level,
+// textures resized and converted to WebP, meshes Draco (level 0) or Meshopt compressed.
+// With --ktx2, <name>.lod<N>.ktx2.glb variants use Basis Universal textures instead.
+// The variants are recorded in data/model-lods.json, which Scene3D.loadCatalog() merges
+// into the catalog models. Uses the glTF-Transform CLI through npx.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const root = path.resolve(__dirname, '..');
+const CLI = '@gltf-transform/cli@4';
+const OUTPUT_DIR = 'Assets/lod';
+const MANIFEST = 'data/model-lods.json';
+
+// distance: camera distance (scene units) from which THREE.LOD switches to the level
+const LEVELS = [
+    { distance: 0, textureSize: 2048, compress: 'draco' },
+    { distance: 110, ratio: 0.25, error: 0.01, textureSize: 1024, compress: 'meshopt' },
+    { distance: 150, ratio: 0.06, error: 0.05, textureSize: 512, compress: 'meshopt' }
+];
+
+function run(command, input, output, args = []) {
+    const result = spawnSync('npx', ['--yes', CLI, command, input, output, ...args], { stdio: 'inherit' });
+    if (result.status !== 0) {
+        throw new Error(`gltf-transform ${command} failed for ${path.relative(root, input)}`);
+    }
+}
+
+// Runs the steps one after another through temporary files
+function pipeline(source, target, steps) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redo-lod-'));
+    try {
+        let current = source;
+        steps.forEach(([command, ...args], index) => {
+            const next = index === steps.length - 1 ? target : path.join(workDir, `step${index}.glb`);
+            run(command, current, next, args);
+            current = next;
+        });
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+function levelSteps(level, textures) {
+    const steps = [['dedup'], ['prune']];
+    if (level.ratio) {
+        steps.push(['weld']);
+        steps.push(['simplify', '--ratio', String(level.ratio), '--error', String(level.error)]);
+    }
+    steps.push(['resize', '--width', String(level.textureSize), '--height', String(level.textureSize)]);
+    steps.push(textures === 'ktx2' ? ['etc1s'] : ['webp']);
+    steps.push(level.compress === 'draco' ? ['draco'] : ['meshopt']);
+    return steps;
+}
+
+function modelFiles(args) {
+    if (args.length > 0) {
+        return args.map(file => path.relative(root, path.resolve(file)));
+    }
+    const catalog = JSON.parse(fs.readFileSync(path.join(root, 'data/catalog.json'), 'utf8'));
+    return (catalog.models || []).map(entry => entry.file);
+}
+
+function readManifest() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(root, MANIFEST), 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const ktx2 = args.includes('--ktx2');
+    const files = modelFiles(args.filter(arg => arg !== '--ktx2'));
+    const manifest = readManifest();
+    let failed = 0;
+    
+    fs.mkdirSync(path.join(root, OUTPUT_DIR), { recursive: true });
+    files.forEach(file => {
+        const source = path.join(root, file);
+        if (!fs.existsSync(source)) {
+            console.error(`${file}: not found, skipped`);
+            failed++;
+            return;
+        }
+        
+        const name = path.basename(file, path.extname(file));
+        try {
+            manifest[file] = LEVELS.map((level, index) => {
+                const entry = { file: `${OUTPUT_DIR}/${name}.lod${index}.glb`, distance: level.distance };
+                pipeline(source, path.join(root, entry.file), levelSteps(level, 'webp'));
+                if (ktx2) {
+                    entry.ktx2 = `${OUTPUT_DIR}/${name}.lod${index}.ktx2.glb`;
+                    pipeline(source, path.join(root, entry.ktx2), levelSteps(level, 'ktx2'));
+                }
+                const size = fs.statSync(path.join(root, entry.file)).size;
+                console.log(`${file}: level ${index} -> ${entry.file} (${(size / 1048576).toFixed(2)} MB)`);
+                return entry;
+            });
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed++;
+        }
+    });
+    
+    fs.writeFileSync(path.join(root, MANIFEST), JSON.stringify(manifest, null, 4) + '\n');
+    console.log(`${files.length - failed}/${files.length} models built, variants listed in ${MANIFEST}`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
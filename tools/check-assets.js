@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// Check that every asset the site references exists, with the exact name.
+//
+//   node tools/check-assets.js
+//
+// Scans index.html and ar.html (src/href), styles.css (url()), script.js and js/*.js (path
+// string literals), and every JSON file under data/ (catalog, including the
+// Step 3 candidate image sets, model LOD manifest, guides). Each reference must
+// match a file exactly: case mismatches load on macOS and Windows but 404 on most
+// servers, and a wrong extension (Click1.jpg vs Click1.jpeg) is reported with
+// the file that does exist. Files in Assets/ that nothing references, and Step 3
+// candidates that share a guide or model with another candidate, are listed as
+// warnings.
+//
+// Exits with status 1 when any reference is broken.
+
+const fs = require('fs');
+const path = require('path');
+const { isLocalAsset, jsonAssets } = require('../js/asset-manifest.js');
+
+const root = path.resolve(__dirname, '..');
+const ASSET_DIR = 'Assets';
+
+// Generated by tools/build-model-lods.js; the page works without it
+const OPTIONAL = new Set(['data/model-lods.json']);
+
+function read(file) {
+    return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function lineAt(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+// References found by a regular expression, with the line they are on
+function textReferences(file, pattern) {
+    const text = read(file);
+    const references = [];
+    for (const match of text.matchAll(pattern)) {
+        const reference = match[2].split(/[?#]/)[0];
+        if (isLocalAsset(reference)) {
+            references.push({ source: `${file}:${lineAt(text, match.index)}`, path: reference });
+        }
+    }
+    return references;
+}
+
+function jsonFiles(dir) {
+    return fs.readdirSync(path.join(root, dir), { withFileTypes: true }).flatMap(entry => {
+        const file = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return jsonFiles(file);
+        return entry.name.endsWith('.json') ? [file] : [];
+    });
+}
+
+function collectReferences() {
+    const references = [];
+    ['index.html', 'ar.html'].forEach((file) => {
+        references.push(...textReferences(file, /(src|href)="([^"]*)"/g));
+    });
+    references.push(...textReferences('styles.css', /url\(\s*(['"]?)([^'")]+)\1\s*\)/g));
+    const scripts = ['script.js'].concat(fs.readdirSync(path.join(root, 'js')).filter(name => name.endsWith('.js')).map(name => `js/${name}`));
+    scripts.forEach(file => {
+        references.push(...textReferences(file, /(['"`])((?:Assets|data|js|libs)\/[^'"`$\s]+)\1/g));
+    });
+    jsonFiles('data').forEach(file => {
+        let document;
+        try {
+            document = JSON.parse(read(file));
+        } catch (error) {
+            references.push({ source: file, path: file, error: `cannot parse (${error.message})` });
+            return;
+        }
+        jsonAssets(document).forEach(asset => references.push({ source: `${file}: ${asset.where}`, path: asset.path }));
+    });
+    return references;
+}
+
+// Each candidate is a different design, so a guide or model named by two of them
+// means at least one shows the build of something else
+function sharedCandidateAssets(catalog) {
+    const users = new Map();
+    (catalog.designs || []).forEach(design => {
+        (design.candidates || []).forEach(candidate => {
+            ['guide', 'model'].forEach(field => {
+                if (!candidate[field]) return;
+                const key = `${field} ${candidate[field]}`;
+                if (!users.has(key)) users.set(key, []);
+                users.get(key).push(candidate.id);
+            });
+        });
+    });
+    return Array.from(users, ([key, ids]) => ({ key, ids })).filter(entry => entry.ids.length > 1);
+}
+
+// Resolves a reference one path segment at a time, so case mismatches are caught
+// even on case-insensitive file systems
+function findAsset(reference) {
+    const segments = path.posix.normalize(reference).replace(/^\.\//, '').split('/');
+    let dir = root;
+    const actual = [];
+    let caseMismatch = false;
+    
+    for (let index = 0; index < segments.length; index++) {
+        const segment = segments[index];
+        let entries;
+        try {
+            entries = fs.readdirSync(dir);
+        } catch (error) {
+            return { status: 'missing' };
+        }
+        let name = entries.find(entry => entry === segment);
+        if (!name) {
+            name = entries.find(entry => entry.toLowerCase() === segment.toLowerCase());
+            if (name) caseMismatch = true;
+        }
+        if (!name && index === segments.length - 1) {
+            // Same file name, different extension
+            const stem = path.parse(segment).name.toLowerCase();
+            const similar = entries.filter(entry => path.parse(entry).name.toLowerCase() === stem);
+            if (similar.length > 0) {
+                return { status: 'extension', suggestions: similar.map(entry => actual.concat(entry).join('/')) };
+            }
+        }
+        if (!name) return { status: 'missing' };
+        actual.push(name);
+        dir = path.join(dir, name);
+    }
+    return caseMismatch ? { status: 'case', actual: actual.join('/') } : { status: 'ok', actual: actual.join('/') };
+}
+
+function main() {
+    const references = collectReferences();
+    const used = new Set();
+    let broken = 0;
+    
+    references.forEach(reference => {
+        if (reference.error) {
+            console.error(`${reference.source}: error: ${reference.error}`);
+            broken++;
+            return;
+        }
+        const result = findAsset(reference.path);
+        if (result.status === 'ok') {
+            used.add(result.actual);
+        } else if (OPTIONAL.has(reference.path)) {
+            console.log(`${reference.source}: note: ${reference.path} not present (optional)`);
+        } else if (result.status === 'case') {
+            console.error(`${reference.source}: error: ${reference.path} differs in case from ${result.actual}`);
+            used.add(result.actual);
+            broken++;
+        } else if (result.status === 'extension') {
+            console.error(`${reference.source}: error: ${reference.path} not found, did you mean ${result.suggestions.join(' or ')}?`);
+            broken++;
+        } else {
+            console.error(`${reference.source}: error: ${reference.path} not found`);
+            broken++;
+        }
+    });
+    
+    fs.readdirSync(path.join(root, ASSET_DIR)).forEach(name => {
+        const file = `${ASSET_DIR}/${name}`;
+        if (fs.statSync(path.join(root, file)).isFile() && !used.has(file)) {
+            console.warn(`${file}: warning: not referenced`);
+        }
+    });
+    
+    const catalog = JSON.parse(read('data/catalog.json'));
+    sharedCandidateAssets(catalog).forEach(({ key, ids }) => {
+        console.warn(`data/catalog.json: warning: ${ids.length} candidates share ${key} (${ids.join(', ')})`);
+    });
+    
+    console.log(`${references.length - broken}/${references.length} asset references ok`);
+    process.exitCode = broken > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Validate build guides before they are published.
+//
+//   node tools/validate-guides.js                 # every guide listed in data/catalog.json
+//   node tools/validate-guides.js path/to/guide.json [...]
+//
+// Exits with status 1 when any guide has errors; warnings are printed but do not fail.
+
+const fs = require('fs');
+const path = require('path');
+const { validateGuide } = require('../js/guide-validator.js');
+
+const root = path.resolve(__dirname, '..');
+
+function guideFiles(args) {
+    if (args.length > 0) {
+        return args.map(file => path.resolve(file));
+    }
+    const catalog = JSON.parse(fs.readFileSync(path.join(root, 'data/catalog.json'), 'utf8'));
+    return (catalog.guides || []).map(entry => path.join(root, entry.file));
+}
+
+function main() {
+    const files = guideFiles(process.argv.slice(2));
+    let failed = 0;
+    
+    files.forEach(file => {
+        const label = path.relative(process.cwd(), file);
+        let guide;
+        try {
+            guide = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`${label}: cannot read guide (${error.message})`);
+            failed++;
+            return;
+        }
+        
+        let result;
+        try {
+            result = validateGuide(guide);
+        } catch (error) {
+            console.error(`${label}: validator failed (${error.stack})`);
+            failed++;
+            return;
+        }
+        result.errors.forEach(issue => console.error(`${label}: error: ${issue.path}: ${issue.message}`));
+        result.warnings.forEach(issue => console.warn(`${label}: warning: ${issue.path}: ${issue.message}`));
+        if (!result.valid) {
+            failed++;
+        } else {
+            console.log(`${label}: ok`);
+        }
+    });
+    
+    console.log(`${files.length - failed}/${files.length} guides valid`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();